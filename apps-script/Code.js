@@ -6,6 +6,64 @@
 /** Cached session secret for a single invocation (not persisted). */
 let __SESSION_APP_SECRET = null;
 
+/** Rows sent per request to the backend's /batch route. */
+const BATCH_SIZE = 200;
+
+/**
+ * A request the endpoint rate-limits (429) is retried in place up to FETCH_MAX_RETRIES times,
+ * waiting its Retry-After (else FETCH_BASE_DELAY_MS doubling), at most FETCH_MAX_WAIT_MS in all.
+ */
+const FETCH_MAX_RETRIES = 3;
+const FETCH_BASE_DELAY_MS = 2000;
+const FETCH_MAX_WAIT_MS = 30 * 1000;
+
+/**
+ * Sync status columns SheetFire can write back after a push. Which ones are written is
+ * configured per sheet (STATUS_COLUMNS); these headers are never sent as document fields.
+ */
+const STATUS_COLUMN_NAMES = ['_syncedAt', '_syncStatus', '_syncError', '_firestorePath'];
+
+/** Config sheet mapping headers to Firestore field names and explicit types (profiles may name their own). */
+const SCHEMA_SHEET_NAME = '_sheetfire_schema';
+
+/** Per-execution cache of the parsed schema sheet (buildDocFromRow_ runs once per row). */
+let __SCHEMA_CACHE = null;
+
+/** Sheet whose profile getConfig_ resolves for this execution (see useSheetProfile_). */
+let __CONFIG_SHEET = null;
+/** Per-execution cache of the parsed PROFILES property. */
+let __PROFILES_CACHE = null;
+
+/**
+ * Key marking typed values in the JSON payload. JSON has no dates, geo points or references,
+ * so they travel as e.g. { "__sheetfire": "timestamp", "value": "<ISO>" } and the backend
+ * turns them into native Firestore Timestamp / GeoPoint / DocumentReference values.
+ */
+const TYPE_TAG = '__sheetfire';
+
+/** Per-execution cache of the spreadsheet's time zone. */
+let __SHEET_TZ = null;
+
+/** Docs requested per /list page when pulling a collection into the sheet. */
+const PULL_PAGE_SIZE = 500;
+/** Document Property holding the page cursor of an unfinished pull. */
+const PULL_CURSOR_KEY = 'PULL_CURSOR';
+
+/** Hidden column holding a hash of each row's last successfully written doc (for "push changed"). */
+const ROW_HASH_HEADER = '_rowHash';
+
+/**
+ * Hidden column holding each doc's Firestore updateTime as last seen by a push or pull. It is
+ * sent back as a precondition, so a stale row can't overwrite changes made in Firestore since.
+ */
+const UPDATE_TIME_HEADER = '_updateTime';
+
+/**
+ * Optional flag column: a push deletes the doc of every row with a truthy value here
+ * (TRUE, yes, x, 1) instead of writing it. Never sent as a document field.
+ */
+const DELETE_FLAG_HEADER = '_delete';
+
 // ==== Secret storage (per-user) ====
 // Store APP_SECRET in User Properties after the user submits it in settings.
 function saveSecret_(secret) {
@@ -61,39 +119,187 @@ function authorizeUserProps_() {
 
 /**
  * Read effective configuration with precedence:
- * 1) Document Properties (per sheet)
- * 2) Script Properties (legacy fallback for CF_ENDPOINT, COLLECTION)
- * 3) Defaults
+ * 1) The sync profile bound to the config sheet (see "Sync profiles"), for PROFILE_KEYS
+ * 2) Document Properties (per spreadsheet)
+ * 3) Script Properties (legacy fallback for CF_ENDPOINT, COLLECTION)
+ * 4) Defaults
+ * profileNameOpt reads a named profile instead ('' = the spreadsheet-wide settings alone).
  * Note: APP_SECRET is never read from Document Properties; optional fallback from
  * Script Properties is supported for legacy projects but not written by this code.
  */
-function getConfig_() {
+function getConfig_(profileNameOpt) {
   const docProps = PropertiesService.getDocumentProperties();
+  const profile = profileNameOpt === undefined ? profileForSheet_() : namedProfile_(profileNameOpt);
+  // A key the profile stores (even '') wins over the spreadsheet-wide value
+  const prop = key => (profile && Object.prototype.hasOwnProperty.call(profile.values, key)
+    ? String(profile.values[key])
+    : docProps.getProperty(key));
 
-  const CF_ENDPOINT = (docProps.getProperty('CF_ENDPOINT')
+  const CF_ENDPOINT = (prop('CF_ENDPOINT')
     || 'https://functionname.a.run.app').trim();
-  const COLLECTION = (docProps.getProperty('COLLECTION')
+  const COLLECTION = (prop('COLLECTION')
     || 'imageDataTest').trim();
 
-  const DOC_ID_FIELD_NAME = (docProps.getProperty('DOC_ID_FIELD_NAME') || 'docId').trim();
+  const DOC_ID_FIELD_NAME = (prop('DOC_ID_FIELD_NAME') || 'docId').trim();
+
+  // Optional per-row target, e.g. "customers/{customerId}/orders" ('' = COLLECTION); see collectionPathForRow_
+  const PATH_TEMPLATE = (prop('PATH_TEMPLATE') || '').trim();
+
+  // 1-based row holding the headers (rows above it are ignored), or 'auto'; see dataRegion_
+  const HEADER_ROW = parseHeaderRow_(prop('HEADER_ROW'));
+
+  // Optional named range holding the table (header row first); see dataRegion_
+  const DATA_RANGE = (prop('DATA_RANGE') || '').trim();
+
+  // Form pipeline (see "Form submissions"): how doc IDs are made ('' = 'auto')
+  const FORM_ID_STRATEGY = (prop('FORM_ID_STRATEGY') || '').trim();
+  const FORM_ID_TEMPLATE = (prop('FORM_ID_TEMPLATE') || '').trim();
+  // Stored as comma-separated header names (FORM_ID_STRATEGY = 'hash')
+  const FORM_ID_COLUMNS = parseHeaderList_(prop('FORM_ID_COLUMNS'));
+  // Stored as 'all' | 'right' | comma-separated header names; returned as 'all' | 'right' | [headers]
+  const FORM_COLUMNS = parseFormColumns_(prop('FORM_COLUMNS'));
+  // Stored as string 'true' | 'false'; default true
+  const FORM_KEEP_TIMESTAMP = String(prop('FORM_KEEP_TIMESTAMP') || 'true') === 'true';
+  // Field for the respondent email ('' = the email column is treated like any other)
+  const FORM_EMAIL_FIELD = (prop('FORM_EMAIL_FIELD') || '').trim();
+
+  // Column mapping sheet for this profile
+  const SCHEMA_SHEET = (prop('SCHEMA_SHEET') || SCHEMA_SHEET_NAME).trim();
 
   // Stored as string 'true' | 'false'
-  const INCLUDE_ID_FIELD_IN_DOC = String(docProps.getProperty('INCLUDE_ID_FIELD_IN_DOC') || 'false') === 'true';
+  const INCLUDE_ID_FIELD_IN_DOC = String(prop('INCLUDE_ID_FIELD_IN_DOC') || 'false') === 'true';
+
+  // Stored as comma-separated header names, a subset of STATUS_COLUMN_NAMES ('' = off)
+  const STATUS_COLUMNS = parseStatusColumns_(prop('STATUS_COLUMNS'));
+
+  // Stored as string 'true' | 'false'; the triggers themselves are managed by saveDocumentConfig
+  const LIVE_SYNC = String(docProps.getProperty('LIVE_SYNC') || 'false') === 'true';
+
+  // Stored as string 'true' | 'false'; sign requests instead of sending the secret (see authHeaders_)
+  const SIGN_REQUESTS = String(docProps.getProperty('SIGN_REQUESTS') || 'false') === 'true';
+
+  // One of AUTH_MODES: 'secret' (APP_SECRET or an API key, the default) or 'google' (the user's Google identity)
+  const AUTH_MODE = docProps.getProperty('AUTH_MODE') || 'secret';
 
   // APP_SECRET is not persisted; no fallback store in Add-on context
-  return { CF_ENDPOINT, COLLECTION, DOC_ID_FIELD_NAME, INCLUDE_ID_FIELD_IN_DOC };
+  return {
+    PROFILE: profile ? profile.name : '',
+    CF_ENDPOINT, COLLECTION, DOC_ID_FIELD_NAME, PATH_TEMPLATE, HEADER_ROW, DATA_RANGE, SCHEMA_SHEET,
+    FORM_ID_STRATEGY, FORM_ID_TEMPLATE, FORM_ID_COLUMNS, FORM_COLUMNS, FORM_KEEP_TIMESTAMP, FORM_EMAIL_FIELD,
+    INCLUDE_ID_FIELD_IN_DOC, STATUS_COLUMNS, LIVE_SYNC, SIGN_REQUESTS, AUTH_MODE,
+  };
+}
+
+/** FORM_COLUMNS setting: 'all' (also for blank), 'right', or a list of header names. */
+function parseFormColumns_(value) {
+  const text = Array.isArray(value) ? value.join(',') : String(value || '').trim();
+  if (!text || /^all$/i.test(text)) return 'all';
+  if (/^right$/i.test(text)) return 'right';
+  return parseHeaderList_(text);
+}
+
+/** Normalize a list or comma-separated string of header names (blanks dropped). */
+function parseHeaderList_(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(v => String(v).trim()).filter(Boolean);
+}
+
+/** HEADER_ROW setting: a row number (1 or more) or 'auto'; blank means 1. */
+function parseHeaderRow_(value) {
+  const text = String(value == null ? '' : value).trim();
+  if (!text) return 1;
+  if (/^auto$/i.test(text)) return 'auto';
+  const row = Number(text);
+  if (!(row >= 1) || Math.floor(row) !== row) {
+    throw new Error(`HEADER_ROW must be a row number (1 or more) or "auto", got "${text}".`);
+  }
+  return row;
 }
 
-/** Persist non-secret config values into Document Properties. */
+/** Normalize a list or comma-separated string to known status column names (in canonical order). */
+function parseStatusColumns_(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const wanted = list.map(v => String(v).trim());
+  return STATUS_COLUMN_NAMES.filter(name => wanted.indexOf(name) !== -1);
+}
+
+/**
+ * Persist non-secret config values into Document Properties, or into the sync profile
+ * opts.PROFILE for PROFILE_KEYS (other keys, like LIVE_SYNC, are always spreadsheet-wide).
+ * Toggling LIVE_SYNC also installs or removes its triggers.
+ */
 function saveDocumentConfig(opts) {
   const docProps = PropertiesService.getDocumentProperties();
+  const profileName = opts.PROFILE ? String(opts.PROFILE) : '';
   const updates = {};
   if (opts.CF_ENDPOINT != null) updates.CF_ENDPOINT = String(opts.CF_ENDPOINT).trim();
   if (opts.COLLECTION != null) updates.COLLECTION = String(opts.COLLECTION).trim();
   if (opts.DOC_ID_FIELD_NAME != null) updates.DOC_ID_FIELD_NAME = String(opts.DOC_ID_FIELD_NAME).trim();
+  if (opts.PATH_TEMPLATE != null) {
+    updates.PATH_TEMPLATE = String(opts.PATH_TEMPLATE).trim();
+    if (updates.PATH_TEMPLATE) {
+      parsePathTemplate_(updates.PATH_TEMPLATE, updates.DOC_ID_FIELD_NAME || getConfig_(profileName).DOC_ID_FIELD_NAME);
+    }
+  }
+  if (opts.HEADER_ROW != null && opts.HEADER_ROW !== '') updates.HEADER_ROW = String(parseHeaderRow_(opts.HEADER_ROW));
+  if (opts.DATA_RANGE != null) {
+    updates.DATA_RANGE = String(opts.DATA_RANGE).trim();
+    if (updates.DATA_RANGE && !SpreadsheetApp.getActive().getRangeByName(updates.DATA_RANGE)) {
+      throw new Error(`There is no named range "${updates.DATA_RANGE}" in this spreadsheet.`);
+    }
+  }
+  if (opts.SCHEMA_SHEET != null) updates.SCHEMA_SHEET = String(opts.SCHEMA_SHEET).trim();
+  if (opts.FORM_ID_STRATEGY != null) {
+    updates.FORM_ID_STRATEGY = String(opts.FORM_ID_STRATEGY).trim();
+    if (updates.FORM_ID_STRATEGY && FORM_ID_STRATEGIES.indexOf(updates.FORM_ID_STRATEGY) === -1) {
+      throw new Error(`FORM_ID_STRATEGY must be one of ${FORM_ID_STRATEGIES.join(', ')}; got "${updates.FORM_ID_STRATEGY}".`);
+    }
+  }
+  if (opts.FORM_ID_TEMPLATE != null) updates.FORM_ID_TEMPLATE = String(opts.FORM_ID_TEMPLATE).trim();
+  if (opts.FORM_ID_COLUMNS != null) updates.FORM_ID_COLUMNS = parseHeaderList_(opts.FORM_ID_COLUMNS).join(',');
+  if (opts.FORM_COLUMNS != null) {
+    const cols = parseFormColumns_(opts.FORM_COLUMNS);
+    updates.FORM_COLUMNS = Array.isArray(cols) ? cols.join(',') : cols;
+  }
+  if (opts.FORM_KEEP_TIMESTAMP != null) updates.FORM_KEEP_TIMESTAMP = String(!!opts.FORM_KEEP_TIMESTAMP);
+  if (opts.FORM_EMAIL_FIELD != null) {
+    updates.FORM_EMAIL_FIELD = String(opts.FORM_EMAIL_FIELD).trim();
+    if (updates.FORM_EMAIL_FIELD) parseFieldPath_(updates.FORM_EMAIL_FIELD);
+  }
+  if (updates.FORM_ID_STRATEGY === 'template' && !(updates.FORM_ID_TEMPLATE || getConfig_(profileName).FORM_ID_TEMPLATE)) {
+    throw new Error('FORM_ID_STRATEGY "template" needs a FORM_ID_TEMPLATE, e.g. "{Email Address}-{yyyyMMdd}".');
+  }
+  if (updates.FORM_ID_STRATEGY === 'hash' && !(updates.FORM_ID_COLUMNS || getConfig_(profileName).FORM_ID_COLUMNS.length)) {
+    throw new Error('FORM_ID_STRATEGY "hash" needs FORM_ID_COLUMNS (the headers to hash).');
+  }
   if (opts.INCLUDE_ID_FIELD_IN_DOC != null) updates.INCLUDE_ID_FIELD_IN_DOC = String(!!opts.INCLUDE_ID_FIELD_IN_DOC);
+  if (opts.STATUS_COLUMNS != null) updates.STATUS_COLUMNS = parseStatusColumns_(opts.STATUS_COLUMNS).join(',');
+  if (opts.LIVE_SYNC != null) updates.LIVE_SYNC = String(!!opts.LIVE_SYNC);
+  if (opts.SIGN_REQUESTS != null) updates.SIGN_REQUESTS = String(!!opts.SIGN_REQUESTS);
+  if (opts.AUTH_MODE != null && opts.AUTH_MODE !== '') {
+    updates.AUTH_MODE = String(opts.AUTH_MODE).trim();
+    if (AUTH_MODES.indexOf(updates.AUTH_MODE) === -1) {
+      throw new Error(`AUTH_MODE must be one of ${AUTH_MODES.join(', ')}; got "${updates.AUTH_MODE}".`);
+    }
+  }
+
+  if (profileName) {
+    const profiles = loadProfiles_();
+    if (!profiles[profileName]) throw new Error(`There is no profile named "${profileName}".`);
+    PROFILE_KEYS.forEach(key => {
+      if (updates[key] === undefined) return;
+      profiles[profileName][key] = updates[key];
+      delete updates[key];
+    });
+    saveProfiles_(profiles);
+  }
   docProps.setProperties(updates, true);
-  return { ok: true, updated: Object.keys(updates) };
+
+  if (opts.LIVE_SYNC != null) {
+    if (opts.LIVE_SYNC) installLiveSync();
+    else uninstallLiveSync();
+  }
+  return { ok: true, updated: Object.keys(updates), profile: profileName };
 }
 
 /** Save document config and optional APP_SECRET in one server call (for HTML sidebar). */
@@ -114,15 +320,33 @@ function saveConfigAndSecret_(opts) {
   return { ok: true, updated: res.updated, savedSecret, secretError };
 }
 
-/** Load non-secret config values from Document Properties with defaults. */
-function loadDocumentConfig() {
-  const cfg = getConfig_();
+/**
+ * Load non-secret config values with defaults: for the active sheet's profile, or for
+ * profileNameOpt ('' = the spreadsheet-wide settings).
+ */
+function loadDocumentConfig(profileNameOpt) {
+  const cfg = getConfig_(profileNameOpt === undefined || profileNameOpt === null ? undefined : String(profileNameOpt));
   // Do not return APP_SECRET (not persisted). Caller should provide it interactively.
   return {
+    PROFILE: cfg.PROFILE,
     CF_ENDPOINT: cfg.CF_ENDPOINT,
     COLLECTION: cfg.COLLECTION,
     DOC_ID_FIELD_NAME: cfg.DOC_ID_FIELD_NAME,
+    PATH_TEMPLATE: cfg.PATH_TEMPLATE,
+    HEADER_ROW: cfg.HEADER_ROW,
+    DATA_RANGE: cfg.DATA_RANGE,
+    SCHEMA_SHEET: cfg.SCHEMA_SHEET,
+    FORM_ID_STRATEGY: cfg.FORM_ID_STRATEGY,
+    FORM_ID_TEMPLATE: cfg.FORM_ID_TEMPLATE,
+    FORM_ID_COLUMNS: cfg.FORM_ID_COLUMNS,
+    FORM_COLUMNS: cfg.FORM_COLUMNS,
+    FORM_KEEP_TIMESTAMP: cfg.FORM_KEEP_TIMESTAMP,
+    FORM_EMAIL_FIELD: cfg.FORM_EMAIL_FIELD,
     INCLUDE_ID_FIELD_IN_DOC: cfg.INCLUDE_ID_FIELD_IN_DOC,
+    STATUS_COLUMNS: cfg.STATUS_COLUMNS,
+    LIVE_SYNC: cfg.LIVE_SYNC,
+    SIGN_REQUESTS: cfg.SIGN_REQUESTS,
+    AUTH_MODE: cfg.AUTH_MODE,
   };
 }
 
@@ -137,6 +361,125 @@ function getSessionSecret_() {
   // Fallback to saved secret (per-user) if no session override
   return getSavedSecret_();
 }
+
+// ==== Sync profiles (per tab) ====
+// Workbooks with a tab per entity (products, stores, promotions…) keep named profiles in
+// Document Properties under PROFILES_KEY: { name: { sheetIds: [..], COLLECTION, … } }.
+// A profile overrides PROFILE_KEYS for the tabs bound to it; keys it doesn't store fall back
+// to the spreadsheet-wide settings. getConfig_ resolves the profile of the sheet an entry point
+// works on (useSheetProfile_ for triggers and background jobs), else of the active sheet.
+
+const PROFILES_KEY = 'PROFILES';
+const PROFILE_KEYS = [
+  'CF_ENDPOINT', 'COLLECTION', 'DOC_ID_FIELD_NAME', 'PATH_TEMPLATE', 'HEADER_ROW', 'DATA_RANGE', 'SCHEMA_SHEET',
+  'FORM_ID_STRATEGY', 'FORM_ID_TEMPLATE', 'FORM_ID_COLUMNS', 'FORM_COLUMNS', 'FORM_KEEP_TIMESTAMP', 'FORM_EMAIL_FIELD',
+  'INCLUDE_ID_FIELD_IN_DOC', 'STATUS_COLUMNS',
+];
+const PROFILE_NAME_RE = /^[A-Za-z0-9 _-]{1,40}$/;
+
+function loadProfiles_() {
+  if (__PROFILES_CACHE) return __PROFILES_CACHE;
+  const raw = PropertiesService.getDocumentProperties().getProperty(PROFILES_KEY);
+  try {
+    __PROFILES_CACHE = (raw && JSON.parse(raw)) || {};
+  } catch (e) {
+    console.error('loadProfiles_: unreadable profiles: ' + (e && e.message ? e.message : e));
+    __PROFILES_CACHE = {};
+  }
+  return __PROFILES_CACHE;
+}
+
+function saveProfiles_(profiles) {
+  PropertiesService.getDocumentProperties().setProperty(PROFILES_KEY, JSON.stringify(profiles));
+  __PROFILES_CACHE = profiles;
+}
+
+/**
+ * Resolve config (and the column mapping) against `sheet`'s profile for the rest of this
+ * execution. Entry points that don't act on the active sheet (triggers, background jobs) call this.
+ */
+function useSheetProfile_(sheet) {
+  __CONFIG_SHEET = sheet || null;
+  __SCHEMA_CACHE = null;
+}
+
+/** { name, values } of the profile bound to `sheetOpt` (default: the config sheet), or null. */
+function profileForSheet_(sheetOpt) {
+  let sheet = sheetOpt || __CONFIG_SHEET;
+  if (!sheet) {
+    try {
+      sheet = __CONFIG_SHEET = SpreadsheetApp.getActiveSheet();
+    } catch (e) {
+      return null; // no spreadsheet context (e.g. run from the editor of another file)
+    }
+  }
+  const id = sheet.getSheetId();
+  const profiles = loadProfiles_();
+  const name = Object.keys(profiles).filter(n => (profiles[n].sheetIds || []).indexOf(id) !== -1)[0];
+  return name ? { name, values: profiles[name] } : null;
+}
+
+/** { name, values } of a profile by name; null for '' (spreadsheet-wide settings). */
+function namedProfile_(name) {
+  if (!name) return null;
+  const profiles = loadProfiles_();
+  if (!profiles[name]) throw new Error(`There is no profile named "${name}".`);
+  return { name, values: profiles[name] };
+}
+
+/** Sidebar: every profile with the tabs it is bound to, plus the active tab and its profile. */
+function listProfiles() {
+  const profiles = loadProfiles_();
+  const active = SpreadsheetApp.getActiveSheet();
+  const current = profileForSheet_(active);
+  return {
+    activeSheet: active.getName(),
+    activeProfile: current ? current.name : '',
+    profiles: Object.keys(profiles).sort().map(name => ({
+      name,
+      sheets: (profiles[name].sheetIds || []).map(id => findSheetById_(id)).filter(Boolean).map(sh => sh.getName()),
+    })),
+  };
+}
+
+/**
+ * Sidebar: create an empty profile. It inherits every spreadsheet-wide setting except the
+ * column mapping, which gets its own schema sheet.
+ */
+function createProfile(name) {
+  const profileName = String(name || '').trim();
+  if (!PROFILE_NAME_RE.test(profileName)) {
+    throw new Error('Profile names are 1–40 letters, digits, spaces, "_" or "-".');
+  }
+  const profiles = loadProfiles_();
+  if (profiles[profileName]) throw new Error(`Profile "${profileName}" already exists.`);
+  profiles[profileName] = { sheetIds: [], SCHEMA_SHEET: `${SCHEMA_SHEET_NAME}_${profileName}` };
+  saveProfiles_(profiles);
+  return listProfiles();
+}
+
+/** Sidebar: bind the active tab to profile `name` ('' = back to the spreadsheet-wide settings). */
+function assignProfileToActiveSheet(name) {
+  const profileName = String(name || '');
+  const profiles = loadProfiles_();
+  if (profileName && !profiles[profileName]) throw new Error(`There is no profile named "${profileName}".`);
+  const id = SpreadsheetApp.getActiveSheet().getSheetId();
+  Object.keys(profiles).forEach(n => {
+    profiles[n].sheetIds = (profiles[n].sheetIds || []).filter(sheetId => sheetId !== id);
+  });
+  if (profileName) profiles[profileName].sheetIds.push(id);
+  saveProfiles_(profiles);
+  return listProfiles();
+}
+
+/** Sidebar: delete a profile; its tabs fall back to the spreadsheet-wide settings. */
+function deleteProfile(name) {
+  const profiles = loadProfiles_();
+  if (!profiles[name]) throw new Error(`There is no profile named "${name}".`);
+  delete profiles[name];
+  saveProfiles_(profiles);
+  return listProfiles();
+}
 // ======================================
 
 /**
@@ -165,19 +508,24 @@ function pushSelectedRowsToFirestore() {
   const ui = SpreadsheetApp.getUi();
   const cfg = getConfig_();
 
-  const headerRow = 1;
-  const lastCol = sheet.getLastColumn();
-  const headers = sheet.getRange(headerRow, 1, 1, lastCol).getValues()[0];
+  let region;
+  try {
+    region = dataRegion_(sheet);
+  } catch (e) {
+    ui.alert(`${e && e.message ? e.message : e} Aborting.`);
+    return;
+  }
+  const headers = regionHeaders_(sheet, region);
 
   // Find the docID column in headers
   const docIdColIndex1 = findDocIdColIndex_(headers);
   if (!docIdColIndex1) {
-    ui.alert(`Header "${cfg.DOC_ID_FIELD_NAME}" not found in row ${headerRow}. Aborting.`);
+    ui.alert(`Header "${cfg.DOC_ID_FIELD_NAME}" not found in row ${region.headerRow}. Aborting.`);
     return;
   }
 
   // Use saved secret; if missing, ask user to configure it
-  const secret = getSavedSecret_();
+  const secret = getCredential_();
   if (!secret) {
     ui.alert('APP_SECRET is not set. Open Firestore → Configuration… and save your APP_SECRET.');
     return;
@@ -189,44 +537,56 @@ function pushSelectedRowsToFirestore() {
 
   const summary = processRowsToFirestore_(sheet, headers, docIdColIndex1, startRow, numRows, secret);
   ui.alert(formatSummary_(summary));
+  offerConflictResolution_(sheet, summary.conflicts, secret);
 }
 
 /**
  * Push ALL rows below header to Firestore using the same rules as pushSelectedRowsToFirestore.
+ * Runs as a resumable job: if the rows don't fit in this execution, the cursor is saved and
+ * a time-driven trigger continues the push in the background (see "Resumable push" below).
  */
 function pushAllRowsToFirestore() {
+  pushRowsAsJobWithAlert_({});
+}
+
+/**
+ * Push only rows whose content changed since their last successful write. Each row's doc hash
+ * is kept in a hidden "_rowHash" column (created on first use, so the first run sends every row).
+ */
+function pushChangedRowsToFirestore() {
+  pushRowsAsJobWithAlert_({ changedOnly: true });
+}
+
+/** Shared body of the push-all menu commands: start the job and report how far it got. */
+function pushRowsAsJobWithAlert_(opts) {
   const sheet = SpreadsheetApp.getActiveSheet();
   const ui = SpreadsheetApp.getUi();
-  const cfg = getConfig_();
 
-  const headerRow = 1;
-  const lastRow = sheet.getLastRow();
-  if (lastRow <= headerRow) {
-    ui.alert('No data below the header.');
+  // Use saved secret; if missing, ask user to configure it
+  const secret = getCredential_();
+  if (!secret) {
+    ui.alert('APP_SECRET is not set. Open Firestore → Configuration… and save your APP_SECRET.');
     return;
   }
 
-  const lastCol = sheet.getLastColumn();
-  const headers = sheet.getRange(headerRow, 1, 1, lastCol).getValues()[0];
-
-  const docIdColIndex1 = findDocIdColIndex_(headers);
-  if (!docIdColIndex1) {
-    ui.alert(`Header "${cfg.DOC_ID_FIELD_NAME}" not found in row ${headerRow}. Aborting.`);
+  let job;
+  try {
+    job = startPushAllJob_(sheet, PUSH_SLICE_BUDGET_MS, secret, opts);
+  } catch (e) {
+    ui.alert(`${e && e.message ? e.message : e} Aborting.`);
     return;
   }
 
-  // Use saved secret; if missing, ask user to configure it
-  const secret = getSavedSecret_();
-  if (!secret) {
-    ui.alert('APP_SECRET is not set. Open Firestore → Configuration… and save your APP_SECRET.');
+  if (job.status === 'done') {
+    ui.alert(formatSummary_(job.summary));
+    if (offerConflictResolution_(sheet, job.summary.conflicts, secret)) {
+      job.summary.conflicts = [];
+      savePushJob_(job);
+    }
     return;
   }
-
-  const startRow = headerRow + 1;
-  const numRows  = lastRow - headerRow;
-
-  const summary = processRowsToFirestore_(sheet, headers, docIdColIndex1, startRow, numRows, secret);
-  ui.alert(formatSummary_(summary));
+  ui.alert(formatPushJobProgress_(job) + '\n\nThe rest continues in the background. ' +
+    'Open Firestore → Push progress… to follow it, cancel or resume.');
 }
 
 /**
@@ -236,13 +596,12 @@ function pushSelectedRowsToFirestoreNoAlert_(secret) {
   const sheet = SpreadsheetApp.getActiveSheet();
   const cfg = getConfig_();
 
-  const headerRow = 1;
-  const lastCol = sheet.getLastColumn();
-  const headers = sheet.getRange(headerRow, 1, 1, lastCol).getValues()[0];
+  const region = dataRegion_(sheet);
+  const headers = regionHeaders_(sheet, region);
 
   const docIdColIndex1 = findDocIdColIndex_(headers);
   if (!docIdColIndex1) {
-    throw new Error('Header "' + cfg.DOC_ID_FIELD_NAME + '" not found in row ' + headerRow + '.');
+    throw new Error('Header "' + cfg.DOC_ID_FIELD_NAME + '" not found in row ' + region.headerRow + '.');
   }
 
   const range = sheet.getActiveRange();
@@ -253,32 +612,394 @@ function pushSelectedRowsToFirestoreNoAlert_(secret) {
 }
 
 /**
- * Same as pushAllRowsToFirestore, but returns summary and does not alert.
+ * Same as pushAllRowsToFirestore, but returns the job (with its running summary) and does not alert.
+ * Add-on actions must return within 30 seconds, so only a short first slice runs here.
  */
 function pushAllRowsToFirestoreNoAlert_(secret) {
   const sheet = SpreadsheetApp.getActiveSheet();
+  return startPushAllJob_(sheet, ADDON_SLICE_BUDGET_MS, secret);
+}
+
+/**
+ * Same as pushChangedRowsToFirestore, but returns the job and does not alert.
+ */
+function pushChangedRowsToFirestoreNoAlert_(secret) {
+  const sheet = SpreadsheetApp.getActiveSheet();
+  return startPushAllJob_(sheet, ADDON_SLICE_BUDGET_MS, secret, { changedOnly: true });
+}
+
+// ---------------------- Resumable push ----------------------
+// "Push all rows" is processed in slices that fit inside one Apps Script execution.
+// The cursor (next row to send), the row range and the running summary are kept as
+// JSON in Document Properties under PUSH_JOB_KEY. While a job is running, a one-off
+// time-driven trigger (PUSH_JOB_HANDLER) picks it up again until every row is done.
+
+const PUSH_JOB_KEY = 'PUSH_JOB';
+const PUSH_JOB_HANDLER = 'continuePushAllJob';
+/** Stop starting new chunks after this long; the hard execution limit is 6 minutes. */
+const PUSH_SLICE_BUDGET_MS = 4.5 * 60 * 1000;
+/** First-slice budget when started from the add-on card (actions time out after 30s). */
+const ADDON_SLICE_BUDGET_MS = 20 * 1000;
+/** Delay before the continuation trigger fires after a slice ends. */
+const PUSH_CONTINUE_DELAY_MS = 60 * 1000;
+/** Errors kept in the stored summary; Document Properties values are capped at 9 KB. */
+const PUSH_JOB_MAX_ERRORS = 50;
+
+function loadPushJob_() {
+  const raw = PropertiesService.getDocumentProperties().getProperty(PUSH_JOB_KEY);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    console.error('loadPushJob_: unreadable job state: ' + (e && e.message ? e.message : e));
+    return null;
+  }
+}
+
+function savePushJob_(job) {
+  job.updatedAt = new Date().toISOString();
+  PropertiesService.getDocumentProperties().setProperty(PUSH_JOB_KEY, JSON.stringify(job));
+}
+
+/** Empty push summary; processRowsToFirestore_ fills one per chunk, mergeSummary_ adds them up. */
+function newSummary_() {
+  return {
+    attemptedRows: 0,
+    sent: 0,
+    skippedNoId: 0,
+    skippedErrors: 0,
+    skippedUnchanged: 0,
+    outsideRegion: 0,
+    invalid: 0,
+    deleted: 0,
+    errors: [],
+    conflicts: []
+  };
+}
+
+/** Add a chunk's summary into the job's running summary (errors are capped). */
+function mergeSummary_(total, part) {
+  total.attemptedRows += part.attemptedRows;
+  total.sent += part.sent;
+  total.skippedNoId += part.skippedNoId;
+  total.skippedErrors += part.skippedErrors;
+  total.skippedUnchanged = (total.skippedUnchanged || 0) + (part.skippedUnchanged || 0);
+  total.deleted = (total.deleted || 0) + (part.deleted || 0);
+  total.outsideRegion = (total.outsideRegion || 0) + (part.outsideRegion || 0);
+  total.invalid = (total.invalid || 0) + (part.invalid || 0);
+  (part.errors || []).forEach(msg => {
+    if (total.errors.length < PUSH_JOB_MAX_ERRORS) total.errors.push(msg);
+    else total.moreErrors = (total.moreErrors || 0) + 1;
+  });
+  total.conflicts = total.conflicts || [];
+  (part.conflicts || []).forEach(c => {
+    if (total.conflicts.length < PUSH_JOB_MAX_ERRORS) total.conflicts.push(c);
+    else total.moreConflicts = (total.moreConflicts || 0) + 1;
+  });
+  return total;
+}
+
+/** Look up a sheet of the active spreadsheet by its stable sheet ID. */
+function findSheetById_(sheetId) {
+  const sheets = SpreadsheetApp.getActive().getSheets();
+  for (let i = 0; i < sheets.length; i++) {
+    if (sheets[i].getSheetId() === sheetId) return sheets[i];
+  }
+  return null;
+}
+
+/** Replace any pending continuation trigger with one that fires after delayMs. */
+function scheduleContinuation_(delayMs) {
+  deleteContinuationTriggers_();
+  ScriptApp.newTrigger(PUSH_JOB_HANDLER)
+    .timeBased()
+    .after(delayMs)
+    .create();
+}
+
+function deleteContinuationTriggers_() {
+  ScriptApp.getProjectTriggers()
+    .filter(t => t.getHandlerFunction() === PUSH_JOB_HANDLER)
+    .forEach(t => ScriptApp.deleteTrigger(t));
+}
+
+/**
+ * Create a new job covering every row below the header of `sheet`, then run its first slice.
+ * opts.changedOnly makes every chunk skip rows whose hash is unchanged.
+ * Throws if the sheet has no data/docId header or another push is still running.
+ */
+function startPushAllJob_(sheet, budgetMs, secretOpt, opts) {
   const cfg = getConfig_();
 
-  const headerRow = 1;
-  const lastRow = sheet.getLastRow();
+  const region = dataRegion_(sheet);
+  const headerRow = region.headerRow;
+  const lastRow = region.lastRow;
   if (lastRow <= headerRow) {
-    throw new Error('No data below the header.');
+    throw new Error(`No data in ${describeRegion_(region)}.`);
   }
 
-  const lastCol = sheet.getLastColumn();
-  const headers = sheet.getRange(headerRow, 1, 1, lastCol).getValues()[0];
-
-  const docIdColIndex1 = findDocIdColIndex_(headers);
-  if (!docIdColIndex1) {
+  const headers = regionHeaders_(sheet, region);
+  if (!findDocIdColIndex_(headers)) {
     throw new Error('Header "' + cfg.DOC_ID_FIELD_NAME + '" not found in row ' + headerRow + '.');
   }
 
-  const startRow = headerRow + 1;
-  const numRows  = lastRow - headerRow;
+  const existing = loadPushJob_();
+  if (existing && existing.status === 'running') {
+    throw new Error('Another push is still running (' + formatPushJobProgress_(existing) + '). ' +
+      'Cancel it from Firestore → Push progress… first.');
+  }
 
-  return processRowsToFirestore_(sheet, headers, docIdColIndex1, startRow, numRows, secret);
+  // Rows below a DATA_RANGE are never part of the job; report them up front
+  const summary = newSummary_();
+  summary.outsideRegion = Math.max(sheet.getLastRow() - lastRow, 0);
+
+  savePushJob_({
+    sheetId: sheet.getSheetId(),
+    sheetName: sheet.getName(),
+    headerRow,
+    nextRow: headerRow + 1,
+    lastRow,
+    changedOnly: !!(opts && opts.changedOnly),
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    summary,
+  });
+  return runPushJobSlice_(budgetMs, secretOpt);
+}
+
+/**
+ * Process chunks of the current job until it is done, cancelled or the time budget is used.
+ * The cursor is saved after every chunk, so a killed execution loses at most one chunk of progress.
+ * Returns the job as stored after this slice.
+ */
+function runPushJobSlice_(budgetMs, secretOpt) {
+  const lock = LockService.getDocumentLock();
+  // Another slice holds the lock; it will reschedule itself when it ends
+  if (!lock.tryLock(1000)) return loadPushJob_();
+
+  try {
+    const job = loadPushJob_();
+    if (!job || job.status !== 'running') {
+      deleteContinuationTriggers_();
+      return job;
+    }
+
+    const fail = (status, message) => {
+      job.status = status;
+      job.error = message;
+      savePushJob_(job);
+      deleteContinuationTriggers_();
+      return job;
+    };
+
+    const sheet = findSheetById_(job.sheetId);
+    if (!sheet) return fail('error', 'Sheet "' + job.sheetName + '" no longer exists.');
+    useSheetProfile_(sheet); // the continuation trigger has no meaningful active sheet
+
+    const secret = secretOpt || getCredential_();
+    if (!secret) return fail('paused', 'APP_SECRET is not set. Save it in Settings, then Resume.');
+
+    let headers;
+    try {
+      headers = regionHeaders_(sheet, dataRegion_(sheet));
+    } catch (e) {
+      return fail('paused', e && e.message ? e.message : String(e));
+    }
+    const docIdColIndex1 = findDocIdColIndex_(headers);
+    if (!docIdColIndex1) {
+      return fail('paused', 'Header "' + getConfig_().DOC_ID_FIELD_NAME + '" not found in row ' + job.headerRow + '.');
+    }
+
+    // Watchdog: if this execution is killed mid-slice, the trigger still resumes the job
+    scheduleContinuation_(budgetMs + PUSH_CONTINUE_DELAY_MS);
+
+    const started = Date.now();
+    while (job.nextRow <= job.lastRow && Date.now() - started < budgetMs) {
+      const n = Math.min(BATCH_SIZE, job.lastRow - job.nextRow + 1);
+      const part = processRowsToFirestore_(sheet, headers, docIdColIndex1, job.nextRow, n, secret,
+        { changedOnly: job.changedOnly });
+      mergeSummary_(job.summary, part);
+      job.nextRow += n;
+
+      // Honor a Cancel issued from the sidebar while this chunk was in flight
+      const latest = loadPushJob_();
+      if (latest && latest.status === 'cancelled') job.status = 'cancelled';
+      savePushJob_(job);
+      if (job.status !== 'running') break;
+    }
+
+    if (job.status === 'running' && job.nextRow > job.lastRow) {
+      job.status = 'done';
+      job.finishedAt = new Date().toISOString();
+    }
+    savePushJob_(job);
+
+    if (job.status === 'running') scheduleContinuation_(PUSH_CONTINUE_DELAY_MS);
+    else deleteContinuationTriggers_();
+    return job;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/** Time-driven trigger handler: continue the stored push job. */
+function continuePushAllJob() {
+  const job = runPushJobSlice_(PUSH_SLICE_BUDGET_MS);
+  if (job && job.status === 'done') {
+    try {
+      SpreadsheetApp.getActive().toast(`Sent ${job.summary.sent} of ${job.summary.attemptedRows} rows.`, 'Firestore push finished');
+    } catch (e) {
+      // No open editor to show the toast in; the sidebar shows the summary
+    }
+  }
+}
+
+/** Sidebar: current job state plus a formatted summary of the whole run. */
+function getPushJobStatus() {
+  const job = loadPushJob_();
+  if (!job) return { exists: false };
+  return {
+    exists: true,
+    status: job.status,
+    sheetName: job.sheetName,
+    processed: Math.min(job.nextRow, job.lastRow + 1) - (job.headerRow + 1),
+    total: job.lastRow - job.headerRow,
+    error: job.error || '',
+    updatedAt: job.updatedAt,
+    progress: formatPushJobProgress_(job),
+    summaryText: formatSummary_(job.summary),
+    conflicts: (job.summary.conflicts || []).length,
+    conflictResolution: job.conflictResolution || '',
+  };
+}
+
+/** Sidebar: start a "push changed rows only" job for the active sheet. */
+function startChangedRowsPush() {
+  const job = startPushAllJob_(SpreadsheetApp.getActiveSheet(), PUSH_SLICE_BUDGET_MS, null, { changedOnly: true });
+  if (job && job.status === 'paused') throw new Error(job.error);
+  return getPushJobStatus();
+}
+
+/** Sidebar: stop the running job after its current chunk and drop the continuation trigger. */
+function cancelPushAllJob() {
+  const job = loadPushJob_();
+  if (job && job.status !== 'done') {
+    job.status = 'cancelled';
+    savePushJob_(job);
+  }
+  deleteContinuationTriggers_();
+  return getPushJobStatus();
+}
+
+/** Sidebar: restart a cancelled, paused or stalled job from its saved cursor. */
+function resumePushAllJob() {
+  const job = loadPushJob_();
+  if (!job) throw new Error('There is no push to resume.');
+  if (job.status === 'done') throw new Error('The last push already finished.');
+  job.status = 'running';
+  delete job.error;
+  savePushJob_(job);
+  runPushJobSlice_(PUSH_SLICE_BUDGET_MS);
+  return getPushJobStatus();
+}
+
+/**
+ * Sidebar: settle the conflicts of the last push. action is 'overwrite' (re-send those rows
+ * without a precondition), 'pull' (replace them with the Firestore versions) or 'skip'.
+ */
+function resolvePushJobConflicts(action) {
+  const job = loadPushJob_();
+  if (!job || !(job.summary.conflicts || []).length) throw new Error('The last push has no conflicts to resolve.');
+  if (job.status === 'running') throw new Error('Wait for the push to finish first.');
+  const sheet = findSheetById_(job.sheetId);
+  if (!sheet) throw new Error('Sheet "' + job.sheetName + '" no longer exists.');
+  useSheetProfile_(sheet);
+
+  job.conflictResolution = resolveConflicts_(sheet, job.summary.conflicts, action, getCredential_());
+  job.summary.conflicts = [];
+  delete job.summary.moreConflicts;
+  savePushJob_(job);
+  return getPushJobStatus();
+}
+
+/** One-line progress, e.g. "Sheet1: 400 of 5000 rows processed (sent 390, errors 2)". */
+function formatPushJobProgress_(job) {
+  const total = job.lastRow - job.headerRow;
+  const processed = Math.min(job.nextRow, job.lastRow + 1) - (job.headerRow + 1);
+  return `${job.sheetName}: ${processed} of ${total} rows processed ` +
+    `(sent ${job.summary.sent}, errors ${job.summary.skippedErrors})`;
+}
+
+// ---------------------- Data region ----------------------
+// Sheets often carry title rows, notes or banners above the real header. The table SheetFire
+// reads is either the named range DATA_RANGE (its first row holds the headers) or everything
+// below HEADER_ROW ('auto' = the first of the top HEADER_SCAN_ROWS rows that contains
+// DOC_ID_FIELD_NAME). processRowsToFirestore_ never sends rows outside it; they are counted in
+// summary.outsideRegion instead. With DATA_RANGE, columns outside the range are ignored too,
+// except SheetFire's own status/hidden columns, which may sit at the right edge of the sheet.
+
+/** How many top rows HEADER_ROW = 'auto' searches for the DOC_ID_FIELD_NAME header. */
+const HEADER_SCAN_ROWS = 20;
+
+/**
+ * The table of `sheet` for the current config: { headerRow, firstRow, lastRow, firstCol, lastCol, rangeName }.
+ * Data rows are firstRow..lastRow (empty when lastRow < firstRow). Throws if DATA_RANGE is
+ * missing or lives on another sheet.
+ */
+function dataRegion_(sheet) {
+  const { HEADER_ROW, DATA_RANGE, DOC_ID_FIELD_NAME } = getConfig_();
+  const sheetLastRow = sheet.getLastRow();
+
+  if (DATA_RANGE) {
+    const range = SpreadsheetApp.getActive().getRangeByName(DATA_RANGE);
+    if (!range) throw new Error(`Named range "${DATA_RANGE}" (DATA_RANGE) not found.`);
+    if (range.getSheet().getSheetId() !== sheet.getSheetId()) {
+      throw new Error(`Named range "${DATA_RANGE}" is on sheet "${range.getSheet().getName()}", not "${sheet.getName()}".`);
+    }
+    const headerRow = range.getRow();
+    return {
+      headerRow,
+      firstRow: headerRow + 1,
+      lastRow: Math.min(range.getLastRow(), sheetLastRow),
+      firstCol: range.getColumn(),
+      lastCol: range.getLastColumn(),
+      rangeName: DATA_RANGE,
+    };
+  }
+
+  const headerRow = HEADER_ROW === 'auto' ? detectHeaderRow_(sheet, DOC_ID_FIELD_NAME) : HEADER_ROW;
+  return { headerRow, firstRow: headerRow + 1, lastRow: sheetLastRow, firstCol: 1, lastCol: sheet.getMaxColumns(), rangeName: '' };
+}
+
+/** First of the top HEADER_SCAN_ROWS rows with a cell equal to `docIdHeader`; 1 if none has one. */
+function detectHeaderRow_(sheet, docIdHeader) {
+  const rows = Math.min(sheet.getLastRow(), HEADER_SCAN_ROWS);
+  const lastCol = sheet.getLastColumn();
+  if (!rows || !lastCol) return 1;
+  const values = sheet.getRange(1, 1, rows, lastCol).getValues();
+  for (let r = 0; r < values.length; r++) {
+    if (values[r].some(v => String(v).trim() === docIdHeader)) return r + 1;
+  }
+  return 1;
+}
+
+/**
+ * Header row of the region, full sheet width (so indexes match row values), with headers of
+ * columns outside the region blanked; blank headers are never sent as fields.
+ */
+function regionHeaders_(sheet, region) {
+  const lastCol = sheet.getLastColumn();
+  if (!lastCol) return [];
+  return sheet.getRange(region.headerRow, 1, 1, lastCol).getValues()[0].map((h, i) => {
+    const inside = i + 1 >= region.firstCol && i + 1 <= region.lastCol;
+    return inside || isReservedHeader_(String(h).trim()) ? h : '';
+  });
 }
 
+/** The region in words for messages, e.g. 'the data range "Products"'. */
+function describeRegion_(region) {
+  return region.rangeName ? `the data range "${region.rangeName}"` : `the rows below header row ${region.headerRow}`;
+}
 
 // ---------------------- Helpers ----------------------
 
@@ -295,28 +1016,45 @@ function findDocIdColIndex_(headers) {
   return 0;
 }
 
+/** True for headers SheetFire manages itself (status columns, row hash, updateTime, delete flag); never sent as fields. */
+function isReservedHeader_(header) {
+  return header === ROW_HASH_HEADER || header === UPDATE_TIME_HEADER || header === DELETE_FLAG_HEADER
+    || STATUS_COLUMN_NAMES.indexOf(header) !== -1;
+}
+
+/** Truthy delete-flag cell: a ticked checkbox or TRUE / yes / y / x / 1. */
+function isDeleteFlag_(value) {
+  return value === true || /^(true|yes|y|x|1)$/i.test(String(value === null ? '' : value).trim());
+}
+
 /**
  * Build {doc, docId} strictly from the docId column and columns to its right.
  * - docId is taken from the DOC_ID_FIELD_NAME column.
- * - Document fields = headers (docIdCol+1 .. last) mapped to row values (coerced).
+ * - Document fields = headers (docIdCol+1 .. last) mapped to row values through the
+ *   schema sheet (field name + type), or coerced with coerce_ for unmapped headers.
+ * - Dotted/indexed field names ("address.city", "tags[0]") build nested maps and arrays.
  * - Optionally include docId as a field too (INCLUDE_ID_FIELD_IN_DOC).
+ * displayValues (optional) are the row's formatted cell texts, used for "string" columns
+ * so values like ZIP codes keep their leading zeros.
  */
-function buildDocFromRow_(headers, rowValues, docIdColIndex1) {
+function buildDocFromRow_(headers, rowValues, docIdColIndex1, displayValues) {
   const { DOC_ID_FIELD_NAME, INCLUDE_ID_FIELD_IN_DOC } = getConfig_();
+  const schema = loadSchema_();
   const idx0 = docIdColIndex1 - 1;
   const rawId = rowValues[idx0];
   const docId = (rawId === '' || rawId === null) ? '' : String(rawId).trim();
 
   const doc = {};
-  for (let c = docIdColIndex1; c < headers.length + 1; c++) {
+  for (let c = docIdColIndex1 + 1; c < headers.length + 1; c++) {
     const header = headers[c - 1];
     if (!header) continue;
-    doc[header] = coerce_(rowValues[c - 1]);
+    if (isReservedHeader_(header)) continue; // written back by SheetFire, not data
+    // A second column named like the docId header is not a field either
+    if (String(header).trim() === DOC_ID_FIELD_NAME) continue;
+    const mapped = mapCell_(schema, header, rowValues[c - 1], displayValues && displayValues[c - 1]);
+    if (mapped) setFieldPath_(doc, mapped.field, mapped.value);
   }
 
-  // Remove the docId header from the payload (we only want fields to the RIGHT)
-  delete doc[DOC_ID_FIELD_NAME];
-
   if (INCLUDE_ID_FIELD_IN_DOC && docId) {
     doc[DOC_ID_FIELD_NAME] = docId;
   }
@@ -324,69 +1062,1458 @@ function buildDocFromRow_(headers, rowValues, docIdColIndex1) {
   return { doc, docId };
 }
 
+/**
+ * Split a PATH_TEMPLATE into collection-path segments. The template names a collection
+ * ("customers/{customerId}/orders"); it may also end in the docId placeholder
+ * (".../orders/{docId}" with DOC_ID_FIELD_NAME = docId), which is dropped because the
+ * document ID always comes from that column. Throws on templates that don't name a collection.
+ */
+function parsePathTemplate_(template, docIdFieldName) {
+  const segments = String(template).replace(/^\/+|\/+$/g, '').split('/');
+  if (segments.length % 2 === 0 && segments[segments.length - 1] === `{${docIdFieldName}}`) segments.pop();
+  if (segments.some(seg => !seg.trim()) || segments.length % 2 === 0) {
+    throw new Error(`PATH_TEMPLATE "${template}" must name a collection, e.g. "customers/{customerId}/orders" ` +
+      `(optionally followed by "/{${docIdFieldName}}").`);
+  }
+  return segments;
+}
+
+/**
+ * Collection path a row is written to: COLLECTION, or PATH_TEMPLATE with every {header}
+ * placeholder replaced by that column's cell in the row. Throws (a row error) when a placeholder
+ * names no column, or its cell is blank or contains "/" (which would change the path's depth).
+ */
+function collectionPathForRow_(headers, rowValues) {
+  const { COLLECTION, PATH_TEMPLATE, DOC_ID_FIELD_NAME } = getConfig_();
+  if (!PATH_TEMPLATE) return COLLECTION;
+
+  const colOf = {};
+  headers.forEach((h, i) => {
+    const key = String(h || '').trim();
+    if (key && colOf[key] === undefined) colOf[key] = i;
+  });
+  return parsePathTemplate_(PATH_TEMPLATE, DOC_ID_FIELD_NAME).map(seg => seg.replace(/\{([^}]+)\}/g, (_, name) => {
+    const key = name.trim();
+    if (colOf[key] === undefined) throw new Error(`PATH_TEMPLATE column "${key}" not found.`);
+    const raw = rowValues[colOf[key]];
+    const value = String(raw === null || raw === undefined ? '' : raw).trim();
+    if (!value) throw new Error(`"${key}" is blank; it is needed for the document path.`);
+    if (value.indexOf('/') !== -1) throw new Error(`"${key}" must not contain "/" (it is part of the document path).`);
+    return value;
+  })).join('/');
+}
+
 /**
  * Process a contiguous block of rows and push to Firestore.
  * Treats the active range as a row-selection only; columns come from the sheet:
  *  - docId from DOC_ID_FIELD_NAME column,
  *  - fields from columns to the right of that column (entire row, not just selected columns).
+ * Rows are sent in chunks of BATCH_SIZE through the backend's /batch route, each to
+ * COLLECTION or, with PATH_TEMPLATE set, to its own full document path (collectionPathForRow_).
+ * When STATUS_COLUMNS is configured, each attempted row gets its outcome written back.
+ * Rows with a known updateTime (UPDATE_TIME_HEADER) are sent with it as a precondition; rows
+ * whose doc changed in Firestore since come back as conflicts (summary.conflicts), not errors.
+ * Rows flagged in DELETE_FLAG_HEADER (or every row, with opts.deleteRows) have their doc deleted instead.
+ * Rows outside the sheet's data region (header and title rows, rows below DATA_RANGE) are
+ * never sent; they only count towards summary.outsideRegion.
+ * opts.changedOnly: skip rows whose doc hash matches the one stored at their last successful write.
+ * opts.force: send no preconditions (overwrite whatever Firestore has).
  */
-function processRowsToFirestore_(sheet, headers, docIdColIndex1, startRow, numRows, secret) {
+function processRowsToFirestore_(sheet, headers, docIdColIndex1, startRow, numRows, secret, opts) {
+  __SCHEMA_CACHE = null; // pick up schema edits made since the last chunk
+  const region = dataRegion_(sheet);
+  const firstRow = Math.max(startRow, region.firstRow);
+  const lastRow = Math.min(startRow + numRows - 1, region.lastRow);
+  const outsideRegion = numRows - Math.max(lastRow - firstRow + 1, 0);
+  if (lastRow < firstRow) return Object.assign(newSummary_(), { outsideRegion });
+  startRow = firstRow;
+  numRows = lastRow - firstRow + 1;
+
+  const changedOnly = !!(opts && opts.changedOnly);
+  const force = !!(opts && opts.force);
+  const deleteRows = !!(opts && opts.deleteRows);
+  const deleteCol = headers.indexOf(DELETE_FLAG_HEADER) + 1;
+  const templated = !!getConfig_().PATH_TEMPLATE;
+
+  // Add any missing status/hash/updateTime headers first so the read below covers them
+  const headerRow = region.headerRow;
+  const statusCols = ensureStatusColumns_(sheet, headerRow);
+  const hashCol = ensureHiddenColumn_(sheet, headerRow, ROW_HASH_HEADER, changedOnly);
+  const timeCol = ensureHiddenColumn_(sheet, headerRow, UPDATE_TIME_HEADER, true);
   const lastCol = sheet.getLastColumn();
 
   // Read the FULL width of the sheet for the chosen rows, so we can always access docId + fields to the right
-  const values = sheet.getRange(startRow, 1, numRows, lastCol).getValues();
-
-  const summary = {
-    attemptedRows: numRows,
-    sent: 0,
-    skippedNoId: 0,
-    skippedErrors: 0,
-    errors: []
-  };
-
+  const block = sheet.getRange(startRow, 1, numRows, lastCol);
+  const values = block.getValues();
+  // Formatted texts are only needed for schema columns typed "string"
+  const displays = schemaNeedsDisplayValues_() ? block.getDisplayValues() : null;
+
+  const summary = newSummary_();
+  summary.attemptedRows = numRows;
+  summary.outsideRegion = outsideRegion;
+  // Per-row outcome for status write-back (index = offset from startRow)
+  const outcomes = new Array(values.length);
+
+  // 1) Build payloads; rows that fail to build are reported but never sent
+  const pending = [];
+  const deletes = [];
   for (let r = 0; r < values.length; r++) {
     try {
       const rowValues = values[r];
-      const { doc, docId } = buildDocFromRow_(headers, rowValues, docIdColIndex1);
+      const seen = rowValues[timeCol - 1];
+      const lastUpdateTime = !force && typeof seen === 'string' ? seen.trim() : '';
+
+      if (deleteRows || (deleteCol && isDeleteFlag_(rowValues[deleteCol - 1]))) {
+        const id = String(rowValues[docIdColIndex1 - 1] === null ? '' : rowValues[docIdColIndex1 - 1]).trim();
+        if (!id) {
+          summary.skippedNoId++;
+          continue;
+        }
+        const delHash = hashCol ? rowHash_(null, id) : '';
+        if (changedOnly && delHash === rowValues[hashCol - 1]) {
+          summary.skippedUnchanged++;
+          continue;
+        }
+        const delPath = templated ? collectionPathForRow_(headers, rowValues) + '/' + id : '';
+        deletes.push({ row: startRow + r, docId: id, path: delPath, hash: delHash, lastUpdateTime });
+        continue;
+      }
+
+      const { doc, docId } = buildDocFromRow_(headers, rowValues, docIdColIndex1, displays && displays[r]);
 
       if (!docId) {
         summary.skippedNoId++;
         continue; // skip rows with blank docID
       }
 
-      writeDoc_(doc, docId, secret);
-      summary.sent++;
+      // Hashes are kept whenever the column exists, so a later "push changed" stays accurate
+      const hash = hashCol ? rowHash_(doc, docId) : '';
+      if (changedOnly && hash === rowValues[hashCol - 1]) {
+        summary.skippedUnchanged++;
+        continue;
+      }
+
+      const path = templated ? collectionPathForRow_(headers, rowValues) + '/' + docId : '';
+      pending.push({ row: startRow + r, doc, docId, path, hash, lastUpdateTime });
     } catch (e) {
+      const msg = e && e.message ? e.message : String(e);
       summary.skippedErrors++;
-      summary.errors.push(`Row ${startRow + r}: ${e && e.message ? e.message : e}`);
+      summary.errors.push(`Row ${startRow + r}: ${msg}`);
+      outcomes[r] = { ok: false, error: msg };
     }
   }
 
+  // 2) Send in chunks (writes to /batch, deletes to /delete); map per-item results back to their rows
+  const chunks = [];
+  for (let i = 0; i < pending.length; i += BATCH_SIZE) chunks.push({ op: 'write', items: pending.slice(i, i + BATCH_SIZE) });
+  for (let i = 0; i < deletes.length; i += BATCH_SIZE) chunks.push({ op: 'delete', items: deletes.slice(i, i + BATCH_SIZE) });
+
+  const source = auditSource_(sheet);
+  chunks.forEach(({ op, items: chunk }) => {
+    let results;
+    try {
+      results = op === 'delete'
+        ? deleteDocsBatch_(chunk.map(p => ({
+          docId: p.docId,
+          path: p.path || undefined,
+          lastUpdateTime: p.lastUpdateTime || undefined,
+          row: p.row,
+        })), secret, false, source)
+        : writeDocsBatch_(chunk.map(p => ({
+          doc: p.doc,
+          docId: p.docId,
+          path: p.path || undefined,
+          lastUpdateTime: p.lastUpdateTime || undefined,
+          row: p.row,
+        })), secret, source);
+    } catch (e) {
+      // Whole request failed: every row in this chunk counts as an error
+      const msg = e && e.message ? e.message : String(e);
+      chunk.forEach(p => {
+        summary.skippedErrors++;
+        summary.errors.push(`Row ${p.row}: ${msg}`);
+        outcomes[p.row - startRow] = { ok: false, error: msg };
+      });
+      return;
+    }
+
+    chunk.forEach((p, k) => {
+      const res = results[k];
+      if (res && res.ok && op === 'delete') {
+        summary.deleted++;
+        outcomes[p.row - startRow] = { ok: true, deleted: true, hash: p.hash };
+      } else if (res && res.ok) {
+        summary.sent++;
+        outcomes[p.row - startRow] = {
+          ok: true, path: res.path, writeTime: res.writeTime, updateTime: res.updateTime, hash: p.hash,
+        };
+      } else if (res && res.conflict) {
+        const current = res.current || {};
+        summary.conflicts.push({
+          row: p.row, docId: p.docId, path: res.path || p.path, op, deleted: !current.exists, serverUpdateTime: current.updateTime || '',
+        });
+        outcomes[p.row - startRow] = { ok: false, conflict: true, error: res.error };
+      } else {
+        const msg = resultError_(res);
+        if (res && res.errors) summary.invalid++;
+        summary.skippedErrors++;
+        summary.errors.push(`Row ${p.row}: ${msg}`);
+        outcomes[p.row - startRow] = { ok: false, error: msg };
+      }
+    });
+  });
+
+  writeStatusColumns_(sheet, statusCols, startRow, values, outcomes);
+  writeHiddenColumn_(sheet, hashCol, startRow, values, outcomes, o => (o.ok ? o.hash : undefined));
+  // A deleted doc has no updateTime; a re-created one must not carry the old precondition
+  writeHiddenColumn_(sheet, timeCol, startRow, values, outcomes, o => (o.ok ? (o.deleted ? '' : o.updateTime) : undefined));
   return summary;
 }
 
+// ---------------------- Row hashes & update times (hidden columns) ----------------------
+
+/**
+ * Return the 1-based index of the hidden `header` column (ROW_HASH_HEADER, UPDATE_TIME_HEADER),
+ * or 0 if the sheet has none. With create=true a missing column is appended at the right edge and hidden.
+ */
+function ensureHiddenColumn_(sheet, headerRow, header, create) {
+  const lastCol = sheet.getLastColumn();
+  const headers = lastCol ? sheet.getRange(headerRow, 1, 1, lastCol).getValues()[0] : [];
+  const idx = headers.indexOf(header) + 1;
+  if (idx || !create) return idx;
+
+  const col = lastCol + 1;
+  sheet.getRange(headerRow, col).setValue(header);
+  sheet.hideColumns(col);
+  return col;
+}
+
+/** Content hash of the payload buildDocFromRow_ produced for a row (SHA-256, base64). */
+function rowHash_(doc, docId) {
+  const bytes = Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    JSON.stringify({ docId, doc }),
+    Utilities.Charset.UTF_8
+  );
+  return Utilities.base64Encode(bytes);
+}
+
+/**
+ * Idempotency-Key for writing a row's payload: the same spreadsheet, sheet, row and content always
+ * give the same key, so a repeated write (a retry after a timeout) gets the endpoint's stored
+ * response instead of writing again.
+ */
+function idempotencyKey_(sheet, row, doc, docId) {
+  const bytes = Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    [SpreadsheetApp.getActive().getId(), sheet.getSheetId(), row, rowHash_(doc, docId)].join('|'),
+    Utilities.Charset.UTF_8
+  );
+  return Utilities.base64EncodeWebSafe(bytes);
+}
+
+/**
+ * Store pick(outcome) (the new hash or updateTime) for rows with an outcome; rows without one,
+ * or where pick returns undefined, keep their value. Text is written with a leading apostrophe
+ * so Sheets never turns it into a date.
+ */
+function writeHiddenColumn_(sheet, col, startRow, values, outcomes, pick) {
+  if (!col || !values.length) return;
+  const c0 = col - 1;
+  const column = values.map((row, r) => {
+    const o = outcomes[r];
+    const picked = o ? pick(o) : undefined;
+    const v = picked !== undefined ? picked : (row[c0] === undefined ? '' : row[c0]);
+    return [typeof v === 'string' && v ? "'" + v : v];
+  });
+  sheet.getRange(startRow, col, column.length, 1).setValues(column);
+}
+
+// ---------------------- Status write-back ----------------------
+
+/**
+ * Make sure every configured status column has a header in `headerRow`, appending missing
+ * ones at the right edge. Returns { name: colIndex1 } for the configured columns ({} when off).
+ */
+function ensureStatusColumns_(sheet, headerRow) {
+  const { STATUS_COLUMNS } = getConfig_();
+  if (!STATUS_COLUMNS.length) return {};
+
+  let lastCol = sheet.getLastColumn();
+  const headers = lastCol ? sheet.getRange(headerRow, 1, 1, lastCol).getValues()[0] : [];
+  const cols = {};
+  STATUS_COLUMNS.forEach(name => {
+    let idx = headers.indexOf(name) + 1;
+    if (!idx) {
+      idx = ++lastCol;
+      sheet.getRange(headerRow, idx).setValue(name);
+    }
+    cols[name] = idx;
+  });
+
+  ensureFailedRowHighlight_(sheet, headerRow, cols);
+  return cols;
+}
+
+/**
+ * Write each row's outcome into the status columns. `values` is the full-width block that was
+ * read for the push (so rows without an outcome keep their previous status), `outcomes[r]` is
+ * { ok, deleted, conflict, queued, path, writeTime, error } or undefined for rows that were skipped (blank docId).
+ */
+function writeStatusColumns_(sheet, statusCols, startRow, values, outcomes) {
+  const names = Object.keys(statusCols);
+  if (!names.length || !values.length) return;
+
+  const now = new Date();
+  names.forEach(name => {
+    const c0 = statusCols[name] - 1;
+    const column = values.map((row, r) => {
+      const o = outcomes[r];
+      const prev = row[c0] === undefined ? '' : row[c0];
+      if (!o) return [prev];
+      switch (name) {
+        case '_syncedAt': return [o.ok ? (o.writeTime ? new Date(o.writeTime) : now) : prev];
+        case '_syncStatus': return [o.ok ? (o.deleted ? 'DELETED' : 'OK') : (o.conflict ? 'CONFLICT' : (o.queued ? 'QUEUED' : 'ERROR'))];
+        case '_syncError': return [o.ok ? '' : o.error];
+        case '_firestorePath': return [o.ok ? (o.deleted ? '' : (o.path || '')) : prev];
+        default: return [prev];
+      }
+    });
+    sheet.getRange(startRow, statusCols[name], column.length, 1).setValues(column);
+  });
+}
+
+/**
+ * Add (once) a conditional-format rule that tints rows whose last push failed.
+ * Keys off _syncStatus = "ERROR", or a non-empty _syncError when only that column is enabled.
+ */
+function ensureFailedRowHighlight_(sheet, headerRow, statusCols) {
+  let formula;
+  if (statusCols._syncStatus) {
+    formula = `=$${columnLetter_(statusCols._syncStatus)}${headerRow + 1}="ERROR"`;
+  } else if (statusCols._syncError) {
+    formula = `=$${columnLetter_(statusCols._syncError)}${headerRow + 1}<>""`;
+  } else {
+    return;
+  }
+
+  const rules = sheet.getConditionalFormatRules();
+  const exists = rules.some(rule => {
+    const cond = rule.getBooleanCondition();
+    return cond && cond.getCriteriaValues()[0] === formula;
+  });
+  if (exists) return;
+
+  const numRows = sheet.getMaxRows() - headerRow;
+  if (numRows < 1) return;
+  const rule = SpreadsheetApp.newConditionalFormatRule()
+    .whenFormulaSatisfied(formula)
+    .setBackground('#f4c7c3')
+    .setRanges([sheet.getRange(headerRow + 1, 1, numRows, sheet.getMaxColumns())])
+    .build();
+  rules.push(rule);
+  sheet.setConditionalFormatRules(rules);
+}
+
+/** 1-based column index → A1 letter(s), e.g. 28 → "AB". */
+function columnLetter_(index1) {
+  let n = index1;
+  let out = '';
+  while (n > 0) {
+    const m = (n - 1) % 26;
+    out = String.fromCharCode(65 + m) + out;
+    n = Math.floor((n - 1) / 26);
+  }
+  return out;
+}
+
+/** Where a write comes from, sent along for the backend's audit log: { spreadsheetId, sheet, row }. */
+function auditSource_(sheet, rowOpt) {
+  const source = { spreadsheetId: SpreadsheetApp.getActive().getId() };
+  if (sheet) source.sheet = sheet.getName();
+  if (rowOpt) source.row = rowOpt;
+  return source;
+}
+
+/**
+ * Resolve a backend route relative to CF_ENDPOINT (e.g. 'batch' → https://…/batch).
+ */
+function endpointUrl_(route) {
+  const { CF_ENDPOINT } = getConfig_();
+  if (!route) return CF_ENDPOINT;
+  return CF_ENDPOINT.replace(/\/+$/, '') + '/' + route;
+}
+
+/**
+ * Message for a failed per-item result. Docs the backend's schema registry rejected list every
+ * failing field ("Schema: age must be >= 0; email is required").
+ */
+function resultError_(res) {
+  if (res && res.errors && res.errors.length) {
+    return 'Schema: ' + res.errors.map(e => `${e.field} ${e.message}`).join('; ');
+  }
+  return res && res.error ? res.error : 'No result returned';
+}
+
+/**
+ * Error for a non-2xx endpoint response. Carries `status` and, when the endpoint sent a
+ * Retry-After header (seconds), `retryAfterMs`, so callers can tell throttling and outages
+ * (worth retrying, see isRetryableError_) from rejected payloads.
+ */
+function httpError_(res) {
+  const code = res.getResponseCode();
+  let json = null;
+  try {
+    json = JSON.parse(res.getContentText());
+  } catch (_) {}
+  // A 422 names the fields that failed the collection's schema
+  const err = json && json.errors
+    ? new Error(`Cloud Function error ${code}: ${resultError_(json)}`)
+    : new Error(`Cloud Function error ${code}: ${res.getContentText()}`);
+  err.status = code;
+  if (json && json.errors) err.errors = json.errors;
+  const retryAfterMs = retryAfterMs_(res);
+  if (retryAfterMs) err.retryAfterMs = retryAfterMs;
+  return err;
+}
+
+/** A response's Retry-After header (seconds) in ms, or 0 without one. */
+function retryAfterMs_(res) {
+  const headers = res.getHeaders() || {};
+  const retryAfter = Number(headers['Retry-After'] || headers['retry-after']);
+  return retryAfter > 0 ? retryAfter * 1000 : 0;
+}
+
+const AUTH_MODES = ['secret', 'google'];
+/** Stands in for the secret with AUTH_MODE 'google', where requests carry the user's Google token. */
+const GOOGLE_CREDENTIAL = 'google';
+
+/**
+ * The credential to pass as `secret` to endpoint calls: the saved APP_SECRET, or with AUTH_MODE
+ * 'google' (which needs no secret) GOOGLE_CREDENTIAL. Empty when a secret is needed but not saved.
+ */
+function getCredential_() {
+  return getConfig_().AUTH_MODE === 'google' ? GOOGLE_CREDENTIAL : getSavedSecret_();
+}
+
+/**
+ * The Google token sent with AUTH_MODE 'google': an OpenID Connect ID token for the user running
+ * the script, issued to this script's OAuth client (the backend's GOOGLE_AUTH_AUDIENCES). Needs
+ * the openid and userinfo.email scopes in appsscript.json.
+ */
+function googleToken_() {
+  const token = ScriptApp.getIdentityToken();
+  if (!token) throw new Error('No Google identity token: add the "openid" and "https://www.googleapis.com/auth/userinfo.email" scopes to appsscript.json.');
+  return token;
+}
+
+/** Lowercase hex of a byte array from Utilities (signed bytes). */
+function hex_(bytes) {
+  return bytes.map(b => ('0' + (b & 0xff).toString(16)).slice(-2)).join('');
+}
+
+/**
+ * Credential headers for one request. With AUTH_MODE 'google' that is the user's Google token
+ * (see googleToken_) and `secret` is ignored. Otherwise the secret itself goes in x-app-secret,
+ * unless SIGN_REQUESTS is on. Then the secret never leaves the script: the request carries the
+ * key id ('APP_SECRET' for the shared secret, else the id of an sfk_ key), a timestamp, a one-time
+ * nonce and an HMAC-SHA256 over them, the route and the exact payload. The HMAC key is itself
+ * derived from the secret part (hex HMAC of 'sheetfire-signing-v1'); the backend keeps it sealed
+ * with a pepper of its own, never next to the key's hash.
+ */
+function authHeaders_(secret, route, payload) {
+  const cfg = getConfig_();
+  if (cfg.AUTH_MODE === 'google') return { Authorization: 'Bearer ' + googleToken_() };
+  if (!cfg.SIGN_REQUESTS) return { 'x-app-secret': secret };
+  const m = /^sfk_([A-Za-z0-9]+)\.(.+)$/.exec(String(secret));
+  const keyId = m ? m[1] : 'APP_SECRET';
+  const signingKey = hex_(Utilities.computeHmacSha256Signature('sheetfire-signing-v1', m ? m[2] : String(secret),
+    Utilities.Charset.UTF_8));
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = Utilities.getUuid().replace(/-/g, '');
+  const toSign = [timestamp, nonce, 'POST', '/' + (route || ''), payload].join('\n');
+  const signature = Utilities.computeHmacSha256Signature(toSign, signingKey, Utilities.Charset.UTF_8);
+  return {
+    'x-sheetfire-key-id': keyId,
+    'x-sheetfire-timestamp': timestamp,
+    'x-sheetfire-nonce': nonce,
+    'x-sheetfire-signature': 'v1=' + hex_(signature),
+  };
+}
+
+/**
+ * POST `body` as JSON to an endpoint route ('' for single-doc writes, 'batch', 'list', …) with
+ * the credential `secret` (see authHeaders_) and any extraHeadersOpt. Backs off when the endpoint
+ * rate-limits the request (429): waits for its Retry-After and tries again, signed afresh (see
+ * FETCH_MAX_RETRIES). Returns the last response either way, so a 429 that outlasts the wait
+ * still reaches httpError_ (and, for form writes, the retry queue).
+ */
+function postToEndpoint_(route, body, secret, extraHeadersOpt) {
+  const url = endpointUrl_(route);
+  const payload = JSON.stringify(body);
+  let waited = 0;
+  for (let attempt = 0; ; attempt++) {
+    const res = UrlFetchApp.fetch(url, {
+      method: 'post',
+      contentType: 'application/json',
+      headers: Object.assign(authHeaders_(secret, route, payload), extraHeadersOpt || {}),
+      payload,
+      muteHttpExceptions: true,
+    });
+    if (res.getResponseCode() !== 429 || attempt >= FETCH_MAX_RETRIES) return res;
+    const wait = retryAfterMs_(res) || FETCH_BASE_DELAY_MS * Math.pow(2, attempt);
+    if (waited + wait > FETCH_MAX_WAIT_MS) return res;
+    Utilities.sleep(wait);
+    waited += wait;
+  }
+}
+
+/**
+ * True for failures a later attempt may get past: 429, 5xx, fetch exceptions without an HTTP
+ * status (timeouts, DNS, connection resets), and a 409 with Retry-After (an earlier request with
+ * the same Idempotency-Key is still running).
+ */
+function isRetryableError_(err) {
+  const status = err && err.status;
+  return !status || status === 429 || status >= 500 || (status === 409 && !!err.retryAfterMs);
+}
+
 /**
  * Writes a document to your HTTPS endpoint (Cloud Function / Cloud Run).
+ * Returns the parsed response ({ ok, id, path, writeTime, updateTime }) when the body is JSON.
+ * collectionOpt overrides COLLECTION (e.g. a subcollection path from collectionPathForRow_).
+ * idempotencyKeyOpt (see idempotencyKey_) is sent as the Idempotency-Key header; sourceOpt
+ * (see auditSource_) names the row for the audit log.
+ */
+function writeDoc_(doc, docId, secretOpt, collectionOpt, idempotencyKeyOpt, sourceOpt) {
+  const { COLLECTION } = getConfig_();
+  const secret = secretOpt || getCredential_();
+  const res = postToEndpoint_('', { collection: collectionOpt || COLLECTION, doc, docId, source: sourceOpt }, secret,
+    idempotencyKeyOpt ? { 'Idempotency-Key': idempotencyKeyOpt } : null);
+  const code = res.getResponseCode();
+  if (code >= 300) throw httpError_(res);
+  try {
+    return JSON.parse(res.getContentText());
+  } catch (_) {
+    return {};
+  }
+}
+
+/**
+ * Writes many documents in one request via the endpoint's /batch route.
+ * items: [{ doc, docId, path, lastUpdateTime, row }] (path: full document path, overrides COLLECTION + docId;
+ * row: the sheet row, with sourceOpt from auditSource_ for the audit log). Returns the backend's per-item results in the same order:
+ * [{ index, ok, id, path, writeTime, updateTime, error, conflict, current }]. Throws if the request
+ * itself fails; a failed precondition is a per-item result with conflict: true. A request the
+ * endpoint finds too large (413) is split in halves and resent, down to single docs, which then
+ * fail on their own as per-item results.
+ */
+function writeDocsBatch_(items, secretOpt, sourceOpt) {
+  const { COLLECTION } = getConfig_();
+  const secret = secretOpt || getCredential_();
+  const res = postToEndpoint_('batch', { collection: COLLECTION, items, source: sourceOpt }, secret);
+  const code = res.getResponseCode();
+  const body = res.getContentText();
+  if (code === 413 && items.length > 1) {
+    const half = Math.ceil(items.length / 2);
+    const first = writeDocsBatch_(items.slice(0, half), secretOpt, sourceOpt);
+    return first.concat(writeDocsBatch_(items.slice(half), secretOpt, sourceOpt)
+      .map(r => Object.assign({}, r, { index: r.index + half })));
+  }
+  if (code === 413) return [{ index: 0, ok: false, tooLarge: true, error: `Too large for the endpoint: ${body}` }];
+  if (code >= 300) throw httpError_(res);
+  const json = JSON.parse(body);
+  return (json && json.results) || [];
+}
+
+/**
+ * Deletes documents via the endpoint's /delete route. items: [{ docId, path, lastUpdateTime, row }]
+ * (row and sourceOpt as for writeDocsBatch_).
+ * Returns per-item results in the same order ({ index, ok, id, path, error, conflict, current },
+ * plus `exists` when dryRun is set and nothing is deleted). Throws if the request itself fails.
+ */
+function deleteDocsBatch_(items, secretOpt, dryRun, sourceOpt) {
+  const { COLLECTION } = getConfig_();
+  const secret = secretOpt || getCredential_();
+  const res = postToEndpoint_('delete', { collection: COLLECTION, items, dryRun: !!dryRun, source: sourceOpt }, secret);
+  const code = res.getResponseCode();
+  const body = res.getContentText();
+  if (code >= 300) throw httpError_(res);
+  const json = JSON.parse(body);
+  return (json && json.results) || [];
+}
+
+// ---------------------- Pull (Firestore → sheet) ----------------------
+// Reads the configured collection page by page and writes it into the active sheet:
+// rows are matched on the DOC_ID_FIELD_NAME column and updated in place, unknown docs
+// are appended, and fields without a column get a new header at the right edge.
+// Nested maps/arrays are flattened to "a.b" / "a[0]" headers (the same paths a push
+// builds), and the schema sheet's field names and types are applied in reverse.
+
+/**
+ * Pull the configured collection into the active sheet (menu command).
+ */
+function pullCollectionToSheet() {
+  const ui = SpreadsheetApp.getUi();
+  const secret = getCredential_();
+  if (!secret) {
+    ui.alert('APP_SECRET is not set. Open Firestore → Configuration… and save your APP_SECRET.');
+    return;
+  }
+  try {
+    ui.alert(formatPullSummary_(pullCollectionToSheetNoAlert_(secret)));
+  } catch (e) {
+    ui.alert(`Pull failed: ${e && e.message ? e.message : e}`);
+  }
+}
+
+/**
+ * Same as pullCollectionToSheet, but returns the summary and does not alert.
+ * Stops fetching after budgetMs (default PUSH_SLICE_BUDGET_MS); the page cursor is then kept
+ * in Document Properties (PULL_CURSOR_KEY) so the next pull of the same collection and sheet
+ * continues where this one stopped.
+ */
+function pullCollectionToSheetNoAlert_(secret, budgetMs) {
+  const sheet = SpreadsheetApp.getActiveSheet();
+  const cfg = getConfig_();
+  const docProps = PropertiesService.getDocumentProperties();
+  const started = Date.now();
+  const budget = budgetMs || PUSH_SLICE_BUDGET_MS;
+  if (cfg.PATH_TEMPLATE) {
+    throw new Error(`Pull reads one collection, but rows go to PATH_TEMPLATE "${cfg.PATH_TEMPLATE}". ` +
+      'Clear PATH_TEMPLATE (or set COLLECTION to the subcollection to pull) first.');
+  }
+
+  // 1) Fetch every page (or as many as fit in the time budget)
+  let cursor = null;
+  try {
+    cursor = JSON.parse(docProps.getProperty(PULL_CURSOR_KEY) || 'null');
+  } catch (e) {
+    cursor = null;
+  }
+  const resumes = !!(cursor && cursor.collection === cfg.COLLECTION && cursor.sheetId === sheet.getSheetId());
+
+  const docs = [];
+  let pageToken = resumes ? cursor.pageToken : '';
+  let complete = true;
+  do {
+    const page = fetchDocsPage_(pageToken, secret);
+    (page.docs || []).forEach(d => docs.push(d));
+    pageToken = page.nextPageToken || '';
+    if (pageToken && Date.now() - started > budget) {
+      complete = false;
+      break;
+    }
+  } while (pageToken);
+
+  if (complete) {
+    docProps.deleteProperty(PULL_CURSOR_KEY);
+  } else {
+    docProps.setProperty(PULL_CURSOR_KEY, JSON.stringify({
+      collection: cfg.COLLECTION, sheetId: sheet.getSheetId(), pageToken,
+    }));
+  }
+
+  const written = writeDocsToSheet_(sheet, docs);
+  return {
+    fetched: docs.length,
+    updated: written.updated,
+    appended: written.appended,
+    newColumns: written.newColumns,
+    complete,
+    resumed: resumes,
+  };
+}
+
+/**
+ * Merge pulled docs ({ id, updateTime, data } as returned by /list) into `sheet`: rows are
+ * matched on the docId column and updated in place, unknown docs are appended, and each row's
+ * updateTime is recorded for the next push's precondition.
+ * Returns { updated, appended, newColumns }.
  */
-function writeDoc_(doc, docId, secretOpt) {
-  const { CF_ENDPOINT, COLLECTION } = getConfig_();
-  const secret = secretOpt || getSavedSecret_();
-  const res = UrlFetchApp.fetch(CF_ENDPOINT, {
-    method: 'post',
-    contentType: 'application/json',
-    headers: { 'x-app-secret': secret },
-    payload: JSON.stringify({ collection: COLLECTION, doc, docId }),
-    muteHttpExceptions: true,
+function writeDocsToSheet_(sheet, docs) {
+  const cfg = getConfig_();
+  const headerRow = dataRegion_(sheet).headerRow;
+
+  // 2) Headers: start a fresh table on an empty sheet, otherwise require the docId column
+  if (!sheet.getLastColumn()) sheet.getRange(headerRow, 1).setValue(cfg.DOC_ID_FIELD_NAME);
+  const headers = sheet.getRange(headerRow, 1, 1, sheet.getLastColumn()).getValues()[0].map(h => String(h || '').trim());
+  const docIdColIndex1 = findDocIdColIndex_(headers);
+  if (!docIdColIndex1) {
+    throw new Error(`Header "${cfg.DOC_ID_FIELD_NAME}" not found in row ${headerRow}.`);
+  }
+  const timeCol = ensureHiddenColumn_(sheet, headerRow, UPDATE_TIME_HEADER, true);
+  if (timeCol > headers.length) headers.push(UPDATE_TIME_HEADER);
+
+  // 3) Flatten docs into { header: cellValue } and register new headers
+  __SCHEMA_CACHE = null;
+  const byField = schemaByField_();
+  const colOf = {};
+  headers.forEach((h, i) => { if (h && !colOf[h]) colOf[h] = i + 1; });
+  const newHeaders = [];
+  const flatDocs = docs.map(d => {
+    const flat = flattenDocForSheet_(d.data || {}, byField);
+    delete flat[cfg.DOC_ID_FIELD_NAME]; // INCLUDE_ID_FIELD_IN_DOC copy; the id has its own column
+    Object.keys(flat).forEach(h => {
+      if (!colOf[h]) {
+        colOf[h] = headers.length + newHeaders.length + 1;
+        newHeaders.push(h);
+      }
+    });
+    return { id: d.id, updateTime: d.updateTime, flat };
   });
+  if (newHeaders.length) {
+    sheet.getRange(headerRow, headers.length + 1, 1, newHeaders.length).setValues([newHeaders]);
+  }
+  const width = headers.length + newHeaders.length;
+
+  // 4) Sheet row of each docId already present (only the id column is read)
+  const lastRow = sheet.getLastRow();
+  const numRows = Math.max(lastRow - headerRow, 0);
+  const rowOfId = {};
+  if (numRows) {
+    sheet.getRange(headerRow + 1, docIdColIndex1, numRows, 1).getValues().forEach((r, i) => {
+      const id = String(r[0] === null ? '' : r[0]).trim();
+      if (id && rowOfId[id] === undefined) rowOfId[id] = headerRow + 1 + i;
+    });
+  }
+
+  // 5) Write only the pulled cells of existing rows, or append. The rest of the sheet is never
+  // written back, so its formulas, array-formula output and text stay exactly as they are.
+  const appended = [];
+  let updated = 0;
+  flatDocs.forEach(({ id, updateTime, flat }) => {
+    const cells = {};
+    Object.keys(flat).forEach(h => { cells[colOf[h]] = asTextCell_(flat[h]); });
+    if (updateTime) cells[timeCol] = asTextCell_(updateTime);
+    if (rowOfId[id] !== undefined) {
+      writeRowCells_(sheet, rowOfId[id], cells);
+      updated++;
+    } else {
+      const row = new Array(width).fill('');
+      row[docIdColIndex1 - 1] = asTextCell_(id);
+      Object.keys(cells).forEach(c => { row[c - 1] = cells[c]; });
+      appended.push(row);
+    }
+  });
+
+  if (appended.length) sheet.getRange(headerRow + 1 + numRows, 1, appended.length, width).setValues(appended);
+
+  return { updated, appended: appended.length, newColumns: newHeaders };
+}
+
+/**
+ * A pulled value as setValues should store it: strings get a leading apostrophe, so Sheets keeps
+ * them as text instead of reading "00123", "3/4", "TRUE" or "=…" as a number, date, boolean or formula.
+ */
+function asTextCell_(value) {
+  return typeof value === 'string' && value ? "'" + value : value;
+}
+
+/** Write { column: value } into one sheet row, one setValues per run of adjacent columns. */
+function writeRowCells_(sheet, row, cells) {
+  const cols = Object.keys(cells).map(Number).sort((x, y) => x - y);
+  for (let i = 0; i < cols.length;) {
+    let j = i;
+    while (j + 1 < cols.length && cols[j + 1] === cols[j] + 1) j++;
+    sheet.getRange(row, cols[i], 1, j - i + 1).setValues([cols.slice(i, j + 1).map(c => cells[c])]);
+    i = j + 1;
+  }
+}
+
+/** Schema entries keyed by Firestore field name (for mapping pulled fields back to headers). */
+function schemaByField_() {
+  const schema = loadSchema_();
+  const out = {};
+  Object.keys(schema).forEach(header => {
+    const entry = schema[header];
+    if (!entry.ignore && !out[entry.field]) out[entry.field] = Object.assign({ header }, entry);
+  });
+  return out;
+}
+
+/**
+ * Flatten a pulled doc into { header: cellValue }. A field path with a schema entry stops the
+ * descent and is formatted for that entry's column; other maps/arrays are walked into.
+ */
+function flattenDocForSheet_(data, byField) {
+  const out = {};
+  const walk = (value, path) => {
+    const entry = byField[path];
+    if (entry) {
+      out[entry.header] = formatCellForType_(value, entry);
+      return;
+    }
+    if (Array.isArray(value)) {
+      if (!value.length) out[path] = '';
+      value.forEach((v, i) => walk(v, `${path}[${i}]`));
+      return;
+    }
+    if (value && typeof value === 'object' && !value[TYPE_TAG]) {
+      const keys = Object.keys(value);
+      if (!keys.length) out[path] = '';
+      keys.forEach(k => walk(value[k], path ? `${path}.${k}` : k));
+      return;
+    }
+    out[path] = cellValueFromTyped_(value);
+  };
+  Object.keys(data).forEach(k => walk(data[k], k));
+  return out;
+}
+
+/** Pulled value for a column with a schema type (the reverse of convertTyped_). */
+function formatCellForType_(value, entry) {
+  if (value === null || value === undefined) return '';
+  switch (entry.type) {
+    case 'array':
+      return Array.isArray(value) ? value.map(cellValueFromTyped_).join(entry.options || ',') : cellValueFromTyped_(value);
+    case 'map':
+      return typeof value === 'object' ? JSON.stringify(value) : cellValueFromTyped_(value);
+    case 'reference': {
+      const path = value && value[TYPE_TAG] === 'reference' ? value.path : String(value);
+      const prefix = entry.options ? entry.options + '/' : '';
+      return prefix && path.indexOf(prefix) === 0 && path.split('/').length === 2 ? path.slice(prefix.length) : path;
+    }
+    default:
+      return cellValueFromTyped_(value);
+  }
+}
+
+/** Plain cell value: timestamps → Date, geo points → "lat, lng", references → path. */
+function cellValueFromTyped_(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') {
+    switch (value[TYPE_TAG]) {
+      case 'timestamp': return new Date(value.value);
+      case 'geopoint': return `${value.latitude}, ${value.longitude}`;
+      case 'reference': return value.path;
+      default: return JSON.stringify(value);
+    }
+  }
+  return value;
+}
+
+function formatPullSummary_(p) {
+  const lines = [
+    `Fetched docs: ${p.fetched}`,
+    `Rows updated: ${p.updated}`,
+    `Rows appended: ${p.appended}`,
+  ];
+  if (p.newColumns.length) lines.push(`New columns: ${p.newColumns.join(', ')}`);
+  if (p.resumed) lines.push('(Continued from where the previous pull stopped.)');
+  if (!p.complete) lines.push('', 'Stopped early to stay within the execution time limit; run the pull again to continue.');
+  return `Firestore pull summary\n\n` + lines.join('\n');
+}
+
+// ---------------------- Conflicts ----------------------
+// A push conflict means the doc changed (or was deleted) in Firestore after this sheet last
+// wrote or pulled it. Conflicting rows are never written; they are listed in the summary
+// ({ row, docId, deleted, serverUpdateTime }) and marked CONFLICT in _syncStatus until the
+// user picks one of: overwrite Firestore with the sheet, pull Firestore into the sheet, or skip.
+
+/**
+ * After a menu push, ask how to settle its conflicts (if any) and apply the choice.
+ * Returns true when the user chose an action (including skip), false when there was nothing to ask.
+ */
+function offerConflictResolution_(sheet, conflicts, secret) {
+  if (!conflicts || !conflicts.length) return false;
+  const ui = SpreadsheetApp.getUi();
+  const choice = ui.alert(
+    `${conflicts.length} row(s) changed in Firestore since this sheet last saw them`,
+    'Yes: overwrite Firestore with the rows from the sheet.\n' +
+    'No: pull the Firestore versions into those rows.\n' +
+    'Cancel: skip; leave both sides as they are (rows stay marked CONFLICT).',
+    ui.ButtonSet.YES_NO_CANCEL
+  );
+  const action = choice === ui.Button.YES ? 'overwrite' : (choice === ui.Button.NO ? 'pull' : 'skip');
+  try {
+    ui.alert(resolveConflicts_(sheet, conflicts, action, secret));
+  } catch (e) {
+    ui.alert(`Resolving conflicts failed: ${e && e.message ? e.message : e}`);
+  }
+  return true;
+}
+
+/**
+ * Apply a conflict choice to `sheet` and return a one-line description of what happened.
+ * Rows whose docId no longer matches the conflict (the sheet was edited or sorted since) are left alone.
+ */
+function resolveConflicts_(sheet, conflicts, action, secret) {
+  if (action === 'skip') return `Skipped ${conflicts.length} conflict(s); Firestore was not changed.`;
+  if (action !== 'overwrite' && action !== 'pull') throw new Error(`Unknown conflict action "${action}".`);
+  if (!secret) throw new Error('APP_SECRET is not set. Save it in Settings first.');
+
+  const region = dataRegion_(sheet);
+  const headers = regionHeaders_(sheet, region);
+  const docIdColIndex1 = findDocIdColIndex_(headers);
+  if (!docIdColIndex1) throw new Error(`Header "${getConfig_().DOC_ID_FIELD_NAME}" not found in row ${region.headerRow}.`);
+
+  const current = conflicts.filter(c =>
+    String(sheet.getRange(c.row, docIdColIndex1).getValue()).trim() === c.docId);
+  const moved = conflicts.length - current.length;
+  const note = moved ? ` ${moved} row(s) no longer hold the same doc and were left alone.` : '';
+
+  if (action === 'pull') {
+    const { COLLECTION } = getConfig_();
+    const docs = fetchDocsByPaths_(current.map(c => c.path || `${COLLECTION}/${c.docId}`), secret);
+    const written = writeDocsToSheet_(sheet, docs);
+    const gone = current.length - docs.length;
+    return `Pulled ${written.updated} row(s) from Firestore.` +
+      (gone ? ` ${gone} doc(s) were deleted in Firestore; their rows were kept.` : '') + note;
+  }
+
+  let sent = 0;
+  let failed = 0;
+  current.forEach(c => {
+    const part = processRowsToFirestore_(sheet, headers, docIdColIndex1, c.row, 1, secret,
+      { force: true, deleteRows: c.op === 'delete' });
+    sent += part.sent + part.deleted;
+    failed += part.skippedErrors;
+  });
+  return `Overwrote or deleted ${sent} doc(s) in Firestore` + (failed ? `, ${failed} failed (see _syncError).` : '.') + note;
+}
+
+// ---------------------- Delete sync ----------------------
+// Deleting a row in the sheet never touches Firestore. Docs are removed by:
+//  - flagging rows in a DELETE_FLAG_HEADER column and pushing (see processRowsToFirestore_),
+//  - "Delete selected rows from Firestore", which previews then deletes the selected rows' docs,
+//  - "Reconcile", which lists docs without a matching docId row and offers to delete them.
+
+/**
+ * Delete the docs of the selected rows (menu command). A dry run shows how many exist first;
+ * nothing is deleted unless the user confirms. The rows stay in the sheet, marked DELETED.
+ */
+function deleteSelectedRowsFromFirestore() {
+  const sheet = SpreadsheetApp.getActiveSheet();
+  const ui = SpreadsheetApp.getUi();
+  const cfg = getConfig_();
+
+  const secret = getCredential_();
+  if (!secret) {
+    ui.alert('APP_SECRET is not set. Open Firestore → Configuration… and save your APP_SECRET.');
+    return;
+  }
+
+  let region;
+  try {
+    region = dataRegion_(sheet);
+  } catch (e) {
+    ui.alert(`${e && e.message ? e.message : e} Aborting.`);
+    return;
+  }
+  const headers = regionHeaders_(sheet, region);
+  const docIdColIndex1 = findDocIdColIndex_(headers);
+  if (!docIdColIndex1) {
+    ui.alert(`Header "${cfg.DOC_ID_FIELD_NAME}" not found in row ${region.headerRow}. Aborting.`);
+    return;
+  }
+
+  // Only rows inside the data region are candidates
+  const range = sheet.getActiveRange();
+  const startRow = Math.max(range.getRow(), region.firstRow);
+  const numRows = Math.min(range.getLastRow(), region.lastRow) - startRow + 1;
+  if (numRows < 1) {
+    ui.alert(`Select data rows (${describeRegion_(region)}) whose docs should be deleted.`);
+    return;
+  }
+
+  try {
+    // With a PATH_TEMPLATE each row's doc lives under its own path, as processRowsToFirestore_ resolves it
+    const rows = sheet.getRange(startRow, 1, numRows, sheet.getLastColumn()).getValues();
+    const items = [];
+    const unresolved = [];
+    rows.forEach((rowValues, r) => {
+      const raw = rowValues[docIdColIndex1 - 1];
+      const docId = String(raw === null ? '' : raw).trim();
+      if (!docId) return;
+      if (!cfg.PATH_TEMPLATE) {
+        items.push({ docId });
+        return;
+      }
+      try {
+        items.push({ docId, path: collectionPathForRow_(headers, rowValues) + '/' + docId });
+      } catch (e) {
+        unresolved.push(`Row ${startRow + r}: ${e && e.message ? e.message : e}`);
+      }
+    });
+    if (!items.length && !unresolved.length) {
+      ui.alert(`The selected rows have no ${cfg.DOC_ID_FIELD_NAME}; nothing to delete.`);
+      return;
+    }
+
+    const existingPaths = [];
+    for (let i = 0; i < items.length; i += BATCH_SIZE) {
+      const preview = deleteDocsBatch_(items.slice(i, i + BATCH_SIZE), secret, true);
+      preview.filter(r => r.ok && r.exists).forEach(r => existingPaths.push(r.path));
+    }
+    const total = items.length + unresolved.length;
+    let message = cfg.PATH_TEMPLATE
+      ? `${existingPaths.length} of ${total} selected doc(s) exist and will be deleted` +
+        (existingPaths.length ? ':\n' + existingPaths.slice(0, 10).join('\n') +
+          (existingPaths.length > 10 ? `\n… and ${existingPaths.length - 10} more` : '') : '.')
+      : `${existingPaths.length} of ${total} selected doc(s) exist in "${cfg.COLLECTION}" and will be deleted.`;
+    if (unresolved.length) {
+      message += `\n\n${unresolved.length} row(s) have no document path and will be skipped:\n` +
+        unresolved.slice(0, 5).join('\n');
+    }
+    const choice = ui.alert('Delete from Firestore?',
+      `${message}\n\nThe rows stay in the sheet. Continue?`,
+      ui.ButtonSet.YES_NO);
+    if (choice !== ui.Button.YES) return;
+
+    let summary = null;
+    for (let row = startRow; row < startRow + numRows; row += BATCH_SIZE) {
+      const n = Math.min(BATCH_SIZE, startRow + numRows - row);
+      const part = processRowsToFirestore_(sheet, headers, docIdColIndex1, row, n, secret, { deleteRows: true });
+      summary = summary ? mergeSummary_(summary, part) : part;
+    }
+    ui.alert(formatSummary_(summary));
+    offerConflictResolution_(sheet, summary.conflicts, secret);
+  } catch (e) {
+    ui.alert(`Delete failed: ${e && e.message ? e.message : e}`);
+  }
+}
+
+/**
+ * List docs in the collection that have no row with a matching docId in the active sheet.
+ * Returns { orphans: [docId], scanned, complete }; complete is false when the listing
+ * stopped at budgetMs (only the docs scanned so far are compared).
+ */
+function findOrphanDocs_(sheet, secret, budgetMs) {
+  const cfg = getConfig_();
+  const region = dataRegion_(sheet);
+  const headers = regionHeaders_(sheet, region);
+  const docIdColIndex1 = findDocIdColIndex_(headers);
+  if (!docIdColIndex1) throw new Error(`Header "${cfg.DOC_ID_FIELD_NAME}" not found in row ${region.headerRow}.`);
+
+  const inSheet = {};
+  if (region.lastRow >= region.firstRow) {
+    sheet.getRange(region.firstRow, docIdColIndex1, region.lastRow - region.firstRow + 1, 1).getValues().forEach(r => {
+      const id = String(r[0] === null ? '' : r[0]).trim();
+      if (id) inSheet[id] = true;
+    });
+  }
+
+  const started = Date.now();
+  const orphans = [];
+  let scanned = 0;
+  let pageToken = '';
+  let complete = true;
+  do {
+    const page = fetchDocsPage_(pageToken, secret, true);
+    (page.docs || []).forEach(d => {
+      scanned++;
+      if (!inSheet[d.id]) orphans.push(d.id);
+    });
+    pageToken = page.nextPageToken || '';
+    if (pageToken && Date.now() - started > budgetMs) {
+      complete = false;
+      break;
+    }
+  } while (pageToken);
+
+  return { orphans, scanned, complete };
+}
+
+/**
+ * Reconcile (menu command): find docs with no matching row in the active sheet, list them
+ * and offer to delete them all. Nothing is deleted without confirmation.
+ */
+function reconcileCollectionWithSheet() {
+  const sheet = SpreadsheetApp.getActiveSheet();
+  const ui = SpreadsheetApp.getUi();
+  const cfg = getConfig_();
+
+  const secret = getCredential_();
+  if (!secret) {
+    ui.alert('APP_SECRET is not set. Open Firestore → Configuration… and save your APP_SECRET.');
+    return;
+  }
+
+  if (cfg.PATH_TEMPLATE) {
+    ui.alert(`Reconcile compares one collection with the sheet, but rows go to PATH_TEMPLATE "${cfg.PATH_TEMPLATE}". ` +
+      'Clear PATH_TEMPLATE (or set COLLECTION to the subcollection to check) first.');
+    return;
+  }
+
+  try {
+    const found = findOrphanDocs_(sheet, secret, PUSH_SLICE_BUDGET_MS / 2);
+    const partial = found.complete ? '' : `\n\n(Only the first ${found.scanned} docs were checked before the time limit.)`;
+    if (!found.orphans.length) {
+      ui.alert(`Every doc in "${cfg.COLLECTION}" has a row in "${sheet.getName()}" (${found.scanned} checked).` + partial);
+      return;
+    }
+
+    const maxShow = 20;
+    const listed = found.orphans.slice(0, maxShow).map(id => `• ${id}`).join('\n') +
+      (found.orphans.length > maxShow ? `\n(+${found.orphans.length - maxShow} more)` : '');
+    const choice = ui.alert(`${found.orphans.length} doc(s) in "${cfg.COLLECTION}" have no row in this sheet`,
+      `${listed}${partial}\n\nDelete them from Firestore?`,
+      ui.ButtonSet.YES_NO);
+    if (choice !== ui.Button.YES) return;
+
+    let deleted = 0;
+    const errors = [];
+    for (let i = 0; i < found.orphans.length; i += BATCH_SIZE) {
+      const results = deleteDocsBatch_(found.orphans.slice(i, i + BATCH_SIZE).map(docId => ({ docId })), secret, false, auditSource_(sheet));
+      results.forEach(r => {
+        if (r.ok) deleted++;
+        else errors.push(`${r.id || '?'}: ${r.error}`);
+      });
+    }
+    ui.alert(`Deleted ${deleted} of ${found.orphans.length} orphan doc(s).` +
+      (errors.length ? '\n\nErrors:\n' + errors.slice(0, 10).map(e => `• ${e}`).join('\n') : ''));
+  } catch (e) {
+    ui.alert(`Reconcile failed: ${e && e.message ? e.message : e}`);
+  }
+}
+
+// ---------------------- Schema (column mapping & types) ----------------------
+// The optional _sheetfire_schema sheet has one row per source header:
+//   header | field | type | options | ignore
+// field: Firestore field name (blank = the header text). type: one of SCHEMA_TYPES
+// (blank/"auto" = coerce_ guessing). options: array delimiter (default ","), or the
+// collection for reference columns whose cells hold bare IDs. ignore: TRUE to drop the column.
+// Timestamps, GeoPoints and references are sent as TYPE_TAG values (see tagTimestamp_ & co).
+
+const SCHEMA_HEADERS = ['header', 'field', 'type', 'options', 'ignore'];
+const SCHEMA_TYPES = ['auto', 'string', 'number', 'integer', 'boolean', 'timestamp', 'array', 'map', 'geopoint', 'reference'];
+
+/**
+ * Parse the config's schema sheet (SCHEMA_SHEET, per profile) into
+ * { header: { field, type, options, ignore } } (cached per execution).
+ */
+function loadSchema_() {
+  if (__SCHEMA_CACHE) return __SCHEMA_CACHE;
+  const schema = {};
+  const sheet = SpreadsheetApp.getActive().getSheetByName(getConfig_().SCHEMA_SHEET);
+  if (sheet && sheet.getLastRow() > 1) {
+    const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, SCHEMA_HEADERS.length).getValues();
+    rows.forEach(r => {
+      const header = String(r[0] || '').trim();
+      if (!header) return;
+      const type = String(r[2] || '').trim().toLowerCase() || 'auto';
+      schema[header] = {
+        field: String(r[1] || '').trim() || header,
+        type: SCHEMA_TYPES.indexOf(type) === -1 ? 'auto' : type,
+        options: String(r[3] || '').trim(),
+        ignore: r[4] === true || String(r[4]).trim().toLowerCase() === 'true',
+      };
+    });
+  }
+  __SCHEMA_CACHE = schema;
+  return schema;
+}
+
+function schemaNeedsDisplayValues_() {
+  const schema = loadSchema_();
+  return Object.keys(schema).some(h => schema[h].type === 'string');
+}
+
+/**
+ * Map one cell through the schema: returns { field, value }, or null for ignored columns.
+ * Unmapped headers keep their text as field name and go through coerce_.
+ * Throws with the column name when a value doesn't fit its declared type.
+ */
+function mapCell_(schema, header, value, displayValue) {
+  const key = String(header).trim();
+  const entry = schema[key];
+  if (!entry) return { field: key, value: coerce_(value) };
+  if (entry.ignore) return null;
+  try {
+    return { field: entry.field, value: convertTyped_(value, displayValue, entry) };
+  } catch (e) {
+    throw new Error(`Column "${key}": ${e && e.message ? e.message : e}`);
+  }
+}
+
+/**
+ * Split a field name into path segments: strings for map keys, numbers for array indexes.
+ * "address.city" → ['address', 'city'], "tags[0]" → ['tags', 0], "name" → ['name'].
+ */
+function parseFieldPath_(field) {
+  const segments = [];
+  String(field).split('.').forEach(part => {
+    const m = part.match(/^([^\[\]]*)((?:\[\d+\])*)$/);
+    if (!m || (!m[1] && !m[2])) throw new Error(`Bad field path "${field}"`);
+    if (m[1]) segments.push(m[1]);
+    (m[2].match(/\d+/g) || []).forEach(i => segments.push(Number(i)));
+  });
+  if (typeof segments[0] !== 'string') throw new Error(`Bad field path "${field}": must start with a name`);
+  return segments;
+}
+
+/**
+ * Assign value at a (possibly nested) field path inside doc, creating maps/arrays on the way.
+ * Throws when two columns disagree, e.g. "address" holding a value and "address.city".
+ */
+function setFieldPath_(doc, field, value) {
+  const segments = parseFieldPath_(field);
+  const conflict = () => new Error(`Field "${field}" conflicts with another column`);
+  let node = doc;
+  for (let i = 0; i < segments.length - 1; i++) {
+    const key = segments[i];
+    const wantArray = typeof segments[i + 1] === 'number';
+    let child = node[key];
+    if (child === undefined || child === null) {
+      child = wantArray ? [] : {};
+      node[key] = child;
+    } else if (typeof child !== 'object' || Array.isArray(child) !== wantArray) {
+      throw conflict();
+    }
+    node = child;
+  }
+  const last = segments[segments.length - 1];
+  const existing = node[last];
+  if (existing !== undefined && existing !== null && typeof existing === 'object' && !(existing instanceof Date)) {
+    throw conflict();
+  }
+  node[last] = value;
+  return doc;
+}
+
+/** Convert a raw cell value to the schema entry's declared type (empty cells → null). */
+function convertTyped_(v, display, entry) {
+  if (v === '' || v === null || v === undefined) return null;
+  const s = typeof v === 'string' ? v.trim() : String(v).trim();
+
+  switch (entry.type) {
+    case 'string':
+      return display != null && display !== '' ? String(display) : String(v);
+
+    case 'number': {
+      const n = typeof v === 'number' ? v : Number(s.replace(/,/g, ''));
+      if (isNaN(n)) throw new Error(`expected a number, got "${s}"`);
+      return n;
+    }
+
+    case 'integer': {
+      const n = typeof v === 'number' ? v : Number(s.replace(/,/g, ''));
+      if (!Number.isInteger(n)) throw new Error(`expected an integer, got "${s}"`);
+      return n;
+    }
+
+    case 'boolean': {
+      if (typeof v === 'boolean') return v;
+      const b = s.toLowerCase();
+      if (['true', 'yes', 'y', '1'].indexOf(b) !== -1) return true;
+      if (['false', 'no', 'n', '0'].indexOf(b) !== -1) return false;
+      throw new Error(`expected a boolean, got "${s}"`);
+    }
+
+    case 'timestamp': {
+      const d = v instanceof Date ? v : parseSheetDate_(s);
+      if (isNaN(d.getTime())) throw new Error(`expected a date/time, got "${s}"`);
+      return tagTimestamp_(d);
+    }
+
+    case 'array': {
+      const delim = entry.options || ',';
+      return s.split(delim).map(x => x.trim()).filter(x => x !== '');
+    }
+
+    case 'map': {
+      let obj;
+      try {
+        obj = JSON.parse(s);
+      } catch (e) {
+        throw new Error('expected a JSON object');
+      }
+      if (!obj || typeof obj !== 'object' || Array.isArray(obj)) throw new Error('expected a JSON object');
+      return obj;
+    }
+
+    case 'geopoint': {
+      const parts = s.split(',').map(x => Number(x.trim()));
+      if (parts.length !== 2 || parts.some(isNaN)
+          || Math.abs(parts[0]) > 90 || Math.abs(parts[1]) > 180) {
+        throw new Error(`expected "latitude, longitude", got "${s}"`);
+      }
+      return tagGeoPoint_(parts[0], parts[1]);
+    }
+
+    case 'reference': {
+      const path = entry.options && s.indexOf('/') === -1 ? entry.options + '/' + s : s;
+      const segments = path.split('/');
+      if (segments.length % 2 !== 0 || segments.some(seg => !seg)) {
+        throw new Error(`expected a document path like "collection/id", got "${path}"`);
+      }
+      return tagReference_(path);
+    }
+
+    default:
+      return coerce_(v);
+  }
+}
+
+/**
+ * Sidebar: schema rows for the active sheet's data headers (right of the docId column),
+ * followed by schema entries for headers not on this sheet. Also returns SCHEMA_TYPES.
+ */
+function loadSchemaForSidebar() {
+  __SCHEMA_CACHE = null;
+  const schema = loadSchema_();
+  const { DOC_ID_FIELD_NAME, SCHEMA_SHEET } = getConfig_();
+  const sheet = SpreadsheetApp.getActiveSheet();
+  let headers = [];
+  try {
+    headers = regionHeaders_(sheet, dataRegion_(sheet));
+  } catch (e) {
+    // DATA_RANGE points elsewhere; offer the saved entries only
+  }
+  const docIdColIndex1 = findDocIdColIndex_(headers);
+
+  const seen = {};
+  const rows = [];
+  const push = (header) => {
+    if (seen[header]) return;
+    seen[header] = true;
+    const entry = schema[header];
+    rows.push({
+      header,
+      field: entry && entry.field !== header ? entry.field : '',
+      type: entry ? entry.type : 'auto',
+      options: entry ? entry.options : '',
+      ignore: !!(entry && entry.ignore),
+    });
+  };
+
+  if (sheet.getName() !== SCHEMA_SHEET) {
+    headers.slice(docIdColIndex1).forEach(h => {
+      const header = String(h || '').trim();
+      if (header && header !== DOC_ID_FIELD_NAME && !isReservedHeader_(header)) push(header);
+    });
+  }
+  Object.keys(schema).forEach(push);
+
+  return { sheetName: sheet.getName(), schemaSheet: SCHEMA_SHEET, types: SCHEMA_TYPES, rows };
+}
+
+/** Sidebar: replace the active profile's schema sheet contents (creating the sheet if needed). */
+function saveSchemaFromSidebar(rows) {
+  const ss = SpreadsheetApp.getActive();
+  const { SCHEMA_SHEET } = getConfig_();
+  let sheet = ss.getSheetByName(SCHEMA_SHEET);
+  if (!sheet) {
+    const active = ss.getActiveSheet();
+    sheet = ss.insertSheet(SCHEMA_SHEET);
+    sheet.getRange(1, 1, 1, SCHEMA_HEADERS.length).setValues([SCHEMA_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    ss.setActiveSheet(active); // keep the user on their data tab
+  }
+
+  const data = (rows || [])
+    .filter(r => r && String(r.header || '').trim())
+    .map(r => {
+      const type = String(r.type || 'auto').toLowerCase();
+      if (SCHEMA_TYPES.indexOf(type) === -1) throw new Error(`Unknown type "${r.type}" for "${r.header}"`);
+      return [String(r.header).trim(), String(r.field || '').trim(), type, String(r.options || '').trim(), !!r.ignore];
+    });
+
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, SCHEMA_HEADERS.length).clearContent().clearDataValidations();
+  }
+  if (data.length) {
+    sheet.getRange(2, 1, data.length, SCHEMA_HEADERS.length).setValues(data);
+    sheet.getRange(2, 3, data.length, 1).setDataValidation(
+      SpreadsheetApp.newDataValidation().requireValueInList(SCHEMA_TYPES, true).build());
+    sheet.getRange(2, 5, data.length, 1).insertCheckboxes();
+  }
+
+  __SCHEMA_CACHE = null;
+  return { ok: true, saved: data.length };
+}
+
+// ---------------------- Typed values (dates, geo points, references) ----------------------
+
+function tagTimestamp_(date) {
+  return { [TYPE_TAG]: 'timestamp', value: date.toISOString() };
+}
+
+function tagGeoPoint_(latitude, longitude) {
+  return { [TYPE_TAG]: 'geopoint', latitude, longitude };
+}
+
+function tagReference_(path) {
+  return { [TYPE_TAG]: 'reference', path };
+}
+
+function sheetTimeZone_() {
+  if (!__SHEET_TZ) {
+    __SHEET_TZ = SpreadsheetApp.getActive().getSpreadsheetTimeZone() || Session.getScriptTimeZone();
+  }
+  return __SHEET_TZ;
+}
+
+/**
+ * Parse a date/time string as wall-clock time in the spreadsheet's time zone (not the
+ * script's), e.g. "2024-05-01 13:00" or Forms' "5/1/2024 13:00:00". Strings carrying an
+ * explicit "Z" or offset are parsed as-is. Returns an Invalid Date when nothing matches.
+ */
+function parseSheetDate_(s) {
+  const str = String(s).trim();
+  if (/(?:Z|[+-]\d{2}:?\d{2})$/i.test(str)) return new Date(str);
+
+  const patterns = [
+    "yyyy-MM-dd'T'HH:mm:ss", 'yyyy-MM-dd HH:mm:ss', "yyyy-MM-dd'T'HH:mm", 'yyyy-MM-dd HH:mm', 'yyyy-MM-dd',
+    'M/d/yyyy H:mm:ss', 'M/d/yyyy H:mm', 'M/d/yyyy',
+  ];
+  for (let i = 0; i < patterns.length; i++) {
+    try {
+      const d = Utilities.parseDate(str, sheetTimeZone_(), patterns[i]);
+      if (d && !isNaN(d.getTime())) return d;
+    } catch (e) {
+      // Try the next pattern
+    }
+  }
+  return new Date(NaN);
+}
+
+/**
+ * Reads one page of the configured collection via the endpoint's /list route.
+ * Returns { docs: [{ id, path, createTime, updateTime, data }], nextPageToken }.
+ * With idsOnly every doc's data is {} (cheaper when only the IDs matter).
+ */
+function fetchDocsPage_(pageToken, secretOpt, idsOnly) {
+  const { COLLECTION } = getConfig_();
+  const secret = secretOpt || getCredential_();
+  const res = postToEndpoint_('list', {
+    collection: COLLECTION,
+    pageSize: PULL_PAGE_SIZE,
+    pageToken: pageToken || undefined,
+    idsOnly: idsOnly || undefined,
+  }, secret);
   const code = res.getResponseCode();
-  if (code >= 300) throw new Error(`Cloud Function error ${code}: ${res.getContentText()}`);
+  const body = res.getContentText();
+  if (code >= 300) throw httpError_(res);
+  return JSON.parse(body);
+}
+
+/**
+ * Reads specific docs by full document path via /list's "paths" mode (max 100 per call).
+ * Returns [{ id, path, createTime, updateTime, data }]; docs that don't exist are left out.
+ */
+function fetchDocsByPaths_(paths, secretOpt) {
+  const secret = secretOpt || getCredential_();
+  const docs = [];
+  for (let i = 0; i < paths.length; i += 100) {
+    const res = postToEndpoint_('list', { paths: paths.slice(i, i + 100) }, secret);
+    const code = res.getResponseCode();
+    const body = res.getContentText();
+    if (code >= 300) throw httpError_(res);
+    (JSON.parse(body).docs || []).forEach(d => docs.push(d));
+  }
+  return docs;
 }
 
 /**
  * Basic type coercion so numbers/booleans aren’t sent as strings.
+ * Date cells become Firestore Timestamps (tagged; Sheets already resolved them in the sheet's zone).
+ * Used for columns without an explicit type in the schema sheet.
  */
 function coerce_(v) {
   if (v === '' || v === null) return null;
+  if (v instanceof Date) return isNaN(v.getTime()) ? null : tagTimestamp_(v);
   if (typeof v === 'number') return v;
   const s = String(v).trim();
   if (s === 'true')  return true;
@@ -400,9 +2527,15 @@ function onOpen() {
     .createMenu('Firestore')
     .addItem('Push selected rows', 'pushSelectedRowsToFirestore')
     .addItem('Push all rows (below header)', 'pushAllRowsToFirestore')
+    .addItem('Push changed rows only', 'pushChangedRowsToFirestore')
+    .addItem('Pull collection into sheet', 'pullCollectionToSheet')
+    .addSeparator()
+    .addItem('Delete selected rows from Firestore', 'deleteSelectedRowsFromFirestore')
+    .addItem('Reconcile (find docs without rows)…', 'reconcileCollectionWithSheet')
     .addSeparator()
     .addItem('Configuration…', 'openConfigSidebar')
     .addItem('Diagnostics…', 'openConfigSidebar')
+    .addItem('Push progress…', 'openConfigSidebar')
     .addToUi();
 }
 
@@ -441,6 +2574,10 @@ function buildHomeCard_(e) {
     .setText('Endpoint: ' + cfg.CF_ENDPOINT));
   s.addWidget(CardService.newTextParagraph()
     .setText('Collection: ' + cfg.COLLECTION));
+  if (cfg.PROFILE) {
+    s.addWidget(CardService.newTextParagraph()
+      .setText('Profile: ' + cfg.PROFILE));
+  }
 
   // Secret is stored per-user via settings; no inline entry needed.
 
@@ -453,6 +2590,14 @@ function buildHomeCard_(e) {
       .setOnClickAction(CardService.newAction().setFunctionName('handlePushAll_')));
   s.addWidget(actionsRow);
 
+  s.addWidget(CardService.newTextButton()
+    .setText('Push changed rows only')
+    .setOnClickAction(CardService.newAction().setFunctionName('handlePushChanged_')));
+
+  s.addWidget(CardService.newTextButton()
+    .setText('Pull collection into sheet')
+    .setOnClickAction(CardService.newAction().setFunctionName('handlePull_')));
+
   s.addWidget(CardService.newTextButton()
     .setText('Run diagnostics')
     .setOnClickAction(CardService.newAction().setFunctionName('handleDiagnostics_')));
@@ -468,12 +2613,13 @@ function buildHomeCard_(e) {
 
 /** Show a card to edit CF_ENDPOINT, COLLECTION, and APP_SECRET. */
 function showSettingsCard_(e) {
+  var cfg = getConfig_();
+
   var card = CardService.newCardBuilder();
-  card.setHeader(CardService.newCardHeader().setTitle('Settings'));
+  card.setHeader(CardService.newCardHeader().setTitle('Settings')
+    .setSubtitle(cfg.PROFILE ? 'Profile "' + cfg.PROFILE + '" (this tab)' : 'Spreadsheet default'));
   var s = CardService.newCardSection();
 
-  var cfg = getConfig_();
-
   s.addWidget(CardService.newTextInput()
     .setFieldName('CF_ENDPOINT')
     .setTitle('CF_ENDPOINT')
@@ -486,16 +2632,93 @@ function showSettingsCard_(e) {
     .setFieldName('DOC_ID_FIELD_NAME')
     .setTitle('DOC_ID_FIELD_NAME')
     .setValue(cfg.DOC_ID_FIELD_NAME));
+  s.addWidget(CardService.newTextInput()
+    .setFieldName('PATH_TEMPLATE')
+    .setTitle('PATH_TEMPLATE (optional)')
+    .setHint('e.g. customers/{customerId}/orders — {header} is filled from each row')
+    .setValue(cfg.PATH_TEMPLATE));
+  s.addWidget(CardService.newTextInput()
+    .setFieldName('HEADER_ROW')
+    .setTitle('HEADER_ROW')
+    .setHint('Row number of the headers, or "auto" to find the ' + cfg.DOC_ID_FIELD_NAME + ' header')
+    .setValue(String(cfg.HEADER_ROW)));
+  s.addWidget(CardService.newTextInput()
+    .setFieldName('DATA_RANGE')
+    .setTitle('DATA_RANGE (optional)')
+    .setHint('Named range holding the table, header row first; overrides HEADER_ROW')
+    .setValue(cfg.DATA_RANGE));
+  var strategyInput = CardService.newSelectionInput()
+    .setFieldName('FORM_ID_STRATEGY')
+    .setTitle('Form submission doc IDs')
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .addItem('Default (auto)', '', !cfg.FORM_ID_STRATEGY);
+  FORM_ID_STRATEGIES.forEach(function (name) {
+    strategyInput.addItem(name, name, cfg.FORM_ID_STRATEGY === name);
+  });
+  s.addWidget(strategyInput);
+  s.addWidget(CardService.newTextInput()
+    .setFieldName('FORM_ID_TEMPLATE')
+    .setTitle('FORM_ID_TEMPLATE (strategy "template")')
+    .setHint('e.g. {Email Address}-{yyyyMMdd}')
+    .setValue(cfg.FORM_ID_TEMPLATE));
+  s.addWidget(CardService.newTextInput()
+    .setFieldName('FORM_ID_COLUMNS')
+    .setTitle('FORM_ID_COLUMNS (strategy "hash")')
+    .setHint('Comma-separated headers to hash')
+    .setValue(cfg.FORM_ID_COLUMNS.join(', ')));
+  s.addWidget(CardService.newTextInput()
+    .setFieldName('FORM_COLUMNS')
+    .setTitle('FORM_COLUMNS')
+    .setHint('"all", "right" (of the docId column) or comma-separated headers')
+    .setValue(Array.isArray(cfg.FORM_COLUMNS) ? cfg.FORM_COLUMNS.join(', ') : cfg.FORM_COLUMNS));
+  s.addWidget(CardService.newSelectionInput()
+    .setFieldName('FORM_KEEP_TIMESTAMP')
+    .setTitle('FORM_KEEP_TIMESTAMP')
+    .setType(CardService.SelectionInputType.CHECK_BOX)
+    .addItem('Keep the Forms timestamp as a Firestore Timestamp', 'true', cfg.FORM_KEEP_TIMESTAMP));
+  s.addWidget(CardService.newTextInput()
+    .setFieldName('FORM_EMAIL_FIELD')
+    .setTitle('FORM_EMAIL_FIELD (optional)')
+    .setHint('Field for the respondent email, e.g. respondent.email')
+    .setValue(cfg.FORM_EMAIL_FIELD));
   s.addWidget(CardService.newSelectionInput()
     .setFieldName('INCLUDE_ID_FIELD_IN_DOC')
     .setTitle('INCLUDE_ID_FIELD_IN_DOC')
     .setType(CardService.SelectionInputType.CHECK_BOX)
     .addItem('Include the docId field in payload', 'true', cfg.INCLUDE_ID_FIELD_IN_DOC));
 
+  var statusInput = CardService.newSelectionInput()
+    .setFieldName('STATUS_COLUMNS')
+    .setTitle('Status columns written back after a push')
+    .setType(CardService.SelectionInputType.CHECK_BOX);
+  STATUS_COLUMN_NAMES.forEach(function (name) {
+    statusInput.addItem(name, name, cfg.STATUS_COLUMNS.indexOf(name) !== -1);
+  });
+  s.addWidget(statusInput);
+
+  s.addWidget(CardService.newSelectionInput()
+    .setFieldName('LIVE_SYNC')
+    .setTitle('Live sync')
+    .setType(CardService.SelectionInputType.CHECK_BOX)
+    .addItem('Push edited rows automatically', 'true', cfg.LIVE_SYNC));
+
+  s.addWidget(CardService.newSelectionInput()
+    .setFieldName('AUTH_MODE')
+    .setTitle('Authenticate with')
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .addItem('APP_SECRET or API key', 'secret', cfg.AUTH_MODE !== 'google')
+    .addItem('My Google account', 'google', cfg.AUTH_MODE === 'google'));
+
+  s.addWidget(CardService.newSelectionInput()
+    .setFieldName('SIGN_REQUESTS')
+    .setTitle('Request signing')
+    .setType(CardService.SelectionInputType.CHECK_BOX)
+    .addItem('Sign requests (HMAC) instead of sending APP_SECRET', 'true', cfg.SIGN_REQUESTS));
+
   s.addWidget(CardService.newTextInput()
     .setFieldName('APP_SECRET')
     .setTitle('APP_SECRET')
-    .setHint('Stored per user. Leave blank to keep existing.'));
+    .setHint('Shared secret or your personal API key (sfk_…). Stored per user. Leave blank to keep existing. Not used with a Google account.'));
 
   s.addWidget(CardService.newTextButton()
     .setText('Save')
@@ -514,14 +2737,43 @@ function saveSettings_(e) {
     var endpoint = getInputString_(inputs, 'CF_ENDPOINT', current.CF_ENDPOINT);
     var collection = getInputString_(inputs, 'COLLECTION', current.COLLECTION);
     var docField = getInputString_(inputs, 'DOC_ID_FIELD_NAME', current.DOC_ID_FIELD_NAME);
+    // A cleared text input is left out of formInputs, so missing means "no template"
+    var pathTemplate = getInputString_(inputs, 'PATH_TEMPLATE', '');
+    var headerRow = getInputString_(inputs, 'HEADER_ROW', String(current.HEADER_ROW));
+    var dataRange = getInputString_(inputs, 'DATA_RANGE', '');
+    var formIdStrategy = getInputString_(inputs, 'FORM_ID_STRATEGY', '');
+    var formIdTemplate = getInputString_(inputs, 'FORM_ID_TEMPLATE', '');
+    var formIdColumns = getInputString_(inputs, 'FORM_ID_COLUMNS', '');
+    var formColumns = getInputString_(inputs, 'FORM_COLUMNS', '');
+    var formKeepTimestamp = getInputBool_(inputs, 'FORM_KEEP_TIMESTAMP', false);
+    var formEmailField = getInputString_(inputs, 'FORM_EMAIL_FIELD', '');
     var includeId = getInputBool_(inputs, 'INCLUDE_ID_FIELD_IN_DOC', current.INCLUDE_ID_FIELD_IN_DOC);
+    var statusColumns = getInputList_(inputs, 'STATUS_COLUMNS', []);
+    var liveSync = getInputBool_(inputs, 'LIVE_SYNC', false);
+    var signRequests = getInputBool_(inputs, 'SIGN_REQUESTS', false);
+    var authMode = getInputString_(inputs, 'AUTH_MODE', current.AUTH_MODE);
     var newSecret = getInputString_(inputs, 'APP_SECRET', '');
 
+    // Edits go to the profile of the active tab, if it has one
     saveDocumentConfig({
+      PROFILE: current.PROFILE,
       CF_ENDPOINT: endpoint,
       COLLECTION: collection,
       DOC_ID_FIELD_NAME: docField,
+      PATH_TEMPLATE: pathTemplate,
+      HEADER_ROW: headerRow,
+      DATA_RANGE: dataRange,
+      FORM_ID_STRATEGY: formIdStrategy,
+      FORM_ID_TEMPLATE: formIdTemplate,
+      FORM_ID_COLUMNS: formIdColumns,
+      FORM_COLUMNS: formColumns,
+      FORM_KEEP_TIMESTAMP: formKeepTimestamp,
+      FORM_EMAIL_FIELD: formEmailField,
       INCLUDE_ID_FIELD_IN_DOC: includeId,
+      STATUS_COLUMNS: statusColumns,
+      LIVE_SYNC: liveSync,
+      SIGN_REQUESTS: signRequests,
+      AUTH_MODE: authMode,
     });
 
     // Optionally save the secret if provided
@@ -547,6 +2799,13 @@ function getInputString_(inputs, key, fallback) {
   return vals.length ? String(vals[0]) : fallback;
 }
 
+/** Utility: read all selected values from a multi-select input (checkbox group). */
+function getInputList_(inputs, key, fallback) {
+  var obj = inputs[key];
+  if (!obj || !obj.stringInputs) return fallback;
+  return (obj.stringInputs.value || []).map(String);
+}
+
 /** Utility: read a boolean value from selectionInputs (checkbox). */
 function getInputBool_(inputs, key, fallback) {
   var obj = inputs[key];
@@ -564,13 +2823,14 @@ function getInputBool_(inputs, key, fallback) {
 /** Action handler: push selected rows via existing logic. */
 function handlePushSelected_(e) {
   try {
-    var secret = getSavedSecret_();
+    var secret = getCredential_();
     if (!secret) return CardService.newActionResponseBuilder()
       .setNotification(CardService.newNotification().setText('Set APP_SECRET in Settings first.'))
       .build();
     var summary = pushSelectedRowsToFirestoreNoAlert_(secret);
     return CardService.newActionResponseBuilder()
-      .setNotification(CardService.newNotification().setText('Pushed selected rows: ' + summary.sent + ' sent.'))
+      .setNotification(CardService.newNotification().setText('Pushed selected rows: ' + summary.sent + ' sent.'
+        + (summary.conflicts.length ? ' ' + summary.conflicts.length + ' conflict(s) marked CONFLICT, not written.' : '')))
       .build();
   } catch (err) {
     return CardService.newActionResponseBuilder()
@@ -579,16 +2839,60 @@ function handlePushSelected_(e) {
   }
 }
 
-/** Action handler: push all rows via existing logic. */
+/** Action handler: push all rows via the resumable job. */
 function handlePushAll_(e) {
   try {
-    var secret = getSavedSecret_();
+    var secret = getCredential_();
     if (!secret) return CardService.newActionResponseBuilder()
       .setNotification(CardService.newNotification().setText('Set APP_SECRET in Settings first.'))
       .build();
-    var summary = pushAllRowsToFirestoreNoAlert_(secret);
+    var job = pushAllRowsToFirestoreNoAlert_(secret);
+    var text = job.status === 'done'
+      ? 'Pushed all rows: ' + job.summary.sent + ' sent.'
+      : formatPushJobProgress_(job) + '. Continuing in the background.';
     return CardService.newActionResponseBuilder()
-      .setNotification(CardService.newNotification().setText('Pushed all rows: ' + summary.sent + ' sent.'))
+      .setNotification(CardService.newNotification().setText(text))
+      .build();
+  } catch (err) {
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification().setText('Error: ' + err))
+      .build();
+  }
+}
+
+/** Action handler: push only rows changed since their last write. */
+function handlePushChanged_(e) {
+  try {
+    var secret = getCredential_();
+    if (!secret) return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification().setText('Set APP_SECRET in Settings first.'))
+      .build();
+    var job = pushChangedRowsToFirestoreNoAlert_(secret);
+    var text = job.status === 'done'
+      ? 'Pushed changed rows: ' + job.summary.sent + ' sent, ' + job.summary.skippedUnchanged + ' unchanged.'
+      : formatPushJobProgress_(job) + '. Continuing in the background.';
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification().setText(text))
+      .build();
+  } catch (err) {
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification().setText('Error: ' + err))
+      .build();
+  }
+}
+
+/** Action handler: pull the configured collection into the active sheet. */
+function handlePull_(e) {
+  try {
+    var secret = getCredential_();
+    if (!secret) return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification().setText('Set APP_SECRET in Settings first.'))
+      .build();
+    var p = pullCollectionToSheetNoAlert_(secret, ADDON_SLICE_BUDGET_MS);
+    var text = 'Pulled ' + p.fetched + ' docs: ' + p.updated + ' updated, ' + p.appended + ' appended.'
+      + (p.complete ? '' : ' Stopped early; pull again to continue.');
+    return CardService.newActionResponseBuilder()
+      .setNotification(CardService.newNotification().setText(text))
       .build();
   } catch (err) {
     return CardService.newActionResponseBuilder()
@@ -600,7 +2904,7 @@ function handlePushAll_(e) {
 /** Add-on action: run diagnostics using provided APP_SECRET. */
 function handleDiagnostics_(e) {
   try {
-    var secret = getSavedSecret_();
+    var secret = getCredential_();
     if (!secret) console.warn('handleDiagnostics_: APP_SECRET missing; diagnostics will fail.');
     var result = runDiagnostics({ APP_SECRET: secret });
     var text = result.ok ? 'Diagnostics passed: ' + result.message : 'Diagnostics failed: ' + result.message;
@@ -684,53 +2988,782 @@ function setupForm(opts) {
   return { formId: form.getId(), formUrl: form.getEditUrl() };
 }
 
+// ---------------------- Form submissions ----------------------
+// One pipeline handles every form response (installed by createOnSubmitTrigger as
+// FORM_SUBMIT_HANDLER). Per response it:
+//  1) picks a doc ID with FORM_ID_STRATEGY and stamps it into the DOC_ID_FIELD_NAME column
+//     (added at the right edge if missing), so the row links to its doc and later pushes of
+//     the row update the same doc;
+//  2) builds the doc from FORM_COLUMNS ('all' response columns, the columns 'right' of the
+//     docId column like a manual push, or a list of headers), plus the submission time as a
+//     Timestamp (FORM_KEEP_TIMESTAMP) and the respondent email (FORM_EMAIL_FIELD);
+//  3) writes it and records the outcome in the status and _updateTime columns.
+// ID strategies:
+//  - auto:      a Firestore-style auto-ID (20 random letters/digits, as the client SDKs make); the default
+//  - uuid:      Utilities.getUuid()
+//  - date:      submission day, yyyyMMdd (same-day responses share one doc)
+//  - timestamp: submission time plus a per-spreadsheet sequence, e.g. 20240501-130502-0007
+//  - template:  FORM_ID_TEMPLATE, e.g. "{Email Address}-{yyyyMMdd}"; {header} is that column's
+//               text, any other {pattern} formats the submission time
+//  - hash:      SHA-256 (hex) of the FORM_ID_COLUMNS cells, so a resubmission updates its doc
+
+const FORM_SUBMIT_HANDLER = 'onFormSubmit';
+/** Handler name older versions installed; createOnSubmitTrigger replaces its triggers. */
+const LEGACY_FORM_SUBMIT_HANDLER = 'onSheetFormSubmit';
+const FORM_ID_STRATEGIES = ['auto', 'uuid', 'date', 'timestamp', 'template', 'hash'];
+/** Document Property holding the last sequence number handed out by the 'timestamp' strategy. */
+const FORM_ID_SEQ_KEY = 'FORM_ID_SEQ';
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+/** Headers Forms and common tools give the submission time column (Forms' own comes first). */
+const SUBMISSION_TIME_HEADERS = ['Timestamp', 'Submitted at', 'Submission Time'];
+/** Column Forms adds when it collects respondent emails. */
+const FORM_EMAIL_HEADER = 'Email Address';
+
 /**
- * Create an installable trigger on the spreadsheet to capture form submissions
- * and forward them to Firestore via the configured endpoint.
+ * Install the form-submit trigger for this spreadsheet (no duplicates) and remove triggers
+ * of the legacy handler, so exactly one pipeline handles responses.
  */
 function createOnSubmitTrigger() {
   const ssId = SpreadsheetApp.getActive().getId();
-  // Avoid duplicate triggers by checking existing ones
   const triggers = ScriptApp.getProjectTriggers();
-  const exists = triggers.some(t => t.getHandlerFunction() === 'onSheetFormSubmit');
+  let removed = 0;
+  triggers
+    .filter(t => t.getHandlerFunction() === LEGACY_FORM_SUBMIT_HANDLER)
+    .forEach(t => { ScriptApp.deleteTrigger(t); removed++; });
+  const exists = triggers.some(t => t.getHandlerFunction() === FORM_SUBMIT_HANDLER);
   if (!exists) {
-    ScriptApp.newTrigger('onSheetFormSubmit')
+    ScriptApp.newTrigger(FORM_SUBMIT_HANDLER)
       .forSpreadsheet(ssId)
       .onFormSubmit()
       .create();
   }
-  return { created: !exists };
+  return { created: !exists, removed };
 }
 
 /**
- * Installable trigger handler for Sheet form submissions. Builds a document from the
- * submitted row and writes it to Firestore (auto-ID).
- *
- * Notes:
- * - Excludes the DOC_ID_FIELD_NAME and empty headers from the payload if present.
- * - Also excludes the default 'Timestamp' column added by Google Forms if present.
+ * Installable form-submit handler: the form pipeline described above, for the submitted row.
+ * Rows outside the data region (see dataRegion_) are logged and not written. Writes that fail
+ * with an outage or throttling go to the retry queue; other failures are recorded in the
+ * status columns and rethrown, so the trigger's failure notification fires.
  */
-function onSheetFormSubmit(e) {
+function onFormSubmit(e) {
   const sheet = e && e.range ? e.range.getSheet() : SpreadsheetApp.getActiveSheet();
-  const { DOC_ID_FIELD_NAME } = getConfig_();
-  const headerRow = 1;
-  const lastCol = sheet.getLastColumn();
-  const headers = sheet.getRange(headerRow, 1, 1, lastCol).getValues()[0];
+  useSheetProfile_(sheet);
+  const cfg = getConfig_();
+  const region = dataRegion_(sheet);
+  const headerRow = region.headerRow;
+
+  const row = e && e.range ? e.range.getRow() : region.lastRow;
+  if (row < region.firstRow || row > region.lastRow) {
+    console.warn(`onFormSubmit: row ${row} is outside ${describeRegion_(region)}; not pushed.`);
+    return;
+  }
+
+  // Add any missing status/updateTime headers first so the reads below cover them
+  const statusCols = ensureStatusColumns_(sheet, headerRow);
+  const timeCol = ensureHiddenColumn_(sheet, headerRow, UPDATE_TIME_HEADER, true);
+  const headers = regionHeaders_(sheet, region);
+  const rowRange = sheet.getRange(row, 1, 1, sheet.getLastColumn());
+  const values = rowRange.getValues()[0];
+  const displays = rowRange.getDisplayValues()[0];
+  const submittedAt = submissionTime_(e, headers, values);
+
+  try {
+    const strategy = cfg.FORM_ID_STRATEGY || 'auto';
+    const docId = formDocId_(strategy, { headers, values, displays, submittedAt });
+    // yyyyMMdd IDs have always been stamped as numbers
+    const docIdColIndex1 = stampDocId_(sheet, headerRow, row, strategy === 'date' ? Number(docId) : docId);
+
+    const doc = buildFormDoc_(headers, values, displays, docIdColIndex1, docId, submittedAt, respondentEmail_(e, headers, values));
+    const collection = collectionPathForRow_(headers, values);
+    // Retries from the queue reuse the key, so a write that did land isn't repeated
+    const idempotencyKey = idempotencyKey_(sheet, row, doc, docId);
+    let res;
+    try {
+      res = writeDoc_(doc, docId, null, collection, idempotencyKey, auditSource_(sheet, row));
+    } catch (err) {
+      if (!isRetryableError_(err)) throw err;
+      // Outage or throttling: keep the response in the retry queue instead of losing it
+      enqueueFailedWrite_({ sheetId: sheet.getSheetId(), row, docId, collection, doc, idempotencyKey }, err);
+      const rowNow = sheet.getRange(row, 1, 1, sheet.getLastColumn()).getValues();
+      writeStatusColumns_(sheet, statusCols, row, rowNow,
+        [{ ok: false, queued: true, error: 'Queued for retry: ' + (err && err.message ? err.message : err) }]);
+      return;
+    }
+
+    const rowNow = sheet.getRange(row, 1, 1, sheet.getLastColumn()).getValues();
+    const outcome = { ok: true, path: res.path, writeTime: res.writeTime, updateTime: res.updateTime };
+    writeStatusColumns_(sheet, statusCols, row, rowNow, [outcome]);
+    writeHiddenColumn_(sheet, timeCol, row, rowNow, [outcome], o => o.updateTime || undefined);
+  } catch (err) {
+    const rowNow = sheet.getRange(row, 1, 1, sheet.getLastColumn()).getValues();
+    writeStatusColumns_(sheet, statusCols, row, rowNow, [{ ok: false, error: String(err && err.message || err) }]);
+    throw err;
+  }
+}
 
-  const row = e && e.range ? e.range.getRow() : headerRow + 1;
-  const values = sheet.getRange(row, 1, 1, lastCol).getValues()[0];
+/**
+ * Former name of the form-submit handler, kept so triggers installed by older versions keep
+ * working until createOnSubmitTrigger replaces them. Does nothing while a FORM_SUBMIT_HANDLER
+ * trigger is also installed, which would write every response twice.
+ */
+function onSheetFormSubmit(e) {
+  if (ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === FORM_SUBMIT_HANDLER)) {
+    console.warn(`${LEGACY_FORM_SUBMIT_HANDLER}: skipped, ${FORM_SUBMIT_HANDLER} handles form responses. ` +
+      'Run createOnSubmitTrigger to remove this trigger.');
+    return;
+  }
+  onFormSubmit(e);
+}
+
+/**
+ * Document for a form response: the FORM_COLUMNS cells mapped through the schema sheet, the
+ * submission time as a Timestamp (FORM_KEEP_TIMESTAMP, under the schema field for "Timestamp"),
+ * the respondent email under FORM_EMAIL_FIELD and, with INCLUDE_ID_FIELD_IN_DOC, the doc ID.
+ * The docId column, SheetFire's own columns and blank headers are never fields.
+ */
+function buildFormDoc_(headers, values, displays, docIdColIndex1, docId, submittedAt, email) {
+  const { DOC_ID_FIELD_NAME, INCLUDE_ID_FIELD_IN_DOC, FORM_COLUMNS, FORM_KEEP_TIMESTAMP, FORM_EMAIL_FIELD } = getConfig_();
+  const schema = loadSchema_();
+  const timeHeader = SUBMISSION_TIME_HEADERS[0];
 
   const doc = {};
   for (let i = 0; i < headers.length; i++) {
     const key = String(headers[i] || '').trim();
-    if (!key) continue;
-    if (key === DOC_ID_FIELD_NAME) continue;
-    if (key === 'Timestamp') continue; // default Forms header
-    doc[key] = coerce_(values[i]);
+    if (!key || key === DOC_ID_FIELD_NAME || isReservedHeader_(key)) continue;
+    if (key === timeHeader) continue; // added below as a Timestamp, or dropped
+    if (FORM_EMAIL_FIELD && key === FORM_EMAIL_HEADER) continue; // added below under its own field
+    if (FORM_COLUMNS === 'right' && i + 1 <= docIdColIndex1) continue;
+    if (Array.isArray(FORM_COLUMNS) && FORM_COLUMNS.indexOf(key) === -1) continue;
+    const mapped = mapCell_(schema, key, values[i], displays[i]);
+    if (mapped) setFieldPath_(doc, mapped.field, mapped.value);
+  }
+
+  const timeEntry = schema[timeHeader];
+  if (FORM_KEEP_TIMESTAMP && !(timeEntry && timeEntry.ignore)) {
+    setFieldPath_(doc, timeEntry ? timeEntry.field : timeHeader, tagTimestamp_(submittedAt));
+  }
+  if (FORM_EMAIL_FIELD && email) setFieldPath_(doc, FORM_EMAIL_FIELD, email);
+  if (INCLUDE_ID_FIELD_IN_DOC && docId) doc[DOC_ID_FIELD_NAME] = docId;
+  return doc;
+}
+
+/** Respondent email from the event's named values, else the FORM_EMAIL_HEADER column; '' if not collected. */
+function respondentEmail_(e, headers, values) {
+  const named = e && e.namedValues && e.namedValues[FORM_EMAIL_HEADER];
+  if (named && named[0]) return String(named[0]).trim();
+  const idx = headers.map(h => String(h || '').trim()).indexOf(FORM_EMAIL_HEADER);
+  return idx === -1 ? '' : String(values[idx] == null ? '' : values[idx]).trim();
+}
+
+/**
+ * Doc ID for a submitted row. strategy is one of FORM_ID_STRATEGIES; ctx is
+ * { headers, values, displays, submittedAt } for the row. Throws if the ID can't be built.
+ */
+function formDocId_(strategy, ctx) {
+  const { FORM_ID_TEMPLATE, FORM_ID_COLUMNS } = getConfig_();
+  const tz = sheetTimeZone_();
+  const cellText = (header) => {
+    const idx = ctx.headers.map(h => String(h || '').trim()).indexOf(header);
+    if (idx === -1) throw new Error(`Column "${header}" not found.`);
+    return String(ctx.displays[idx] == null ? '' : ctx.displays[idx]).trim();
+  };
+
+  switch (strategy) {
+    case 'date':
+      return Utilities.formatDate(ctx.submittedAt, tz, 'yyyyMMdd');
+    case 'uuid':
+      return Utilities.getUuid();
+    case 'auto': {
+      let id = '';
+      for (let i = 0; i < 20; i++) id += AUTO_ID_CHARS.charAt(Math.floor(Math.random() * AUTO_ID_CHARS.length));
+      return id;
+    }
+    case 'timestamp':
+      return Utilities.formatDate(ctx.submittedAt, tz, 'yyyyMMdd-HHmmss') + '-' + ('000' + nextFormSequence_()).slice(-4);
+    case 'template': {
+      if (!FORM_ID_TEMPLATE) throw new Error('FORM_ID_TEMPLATE is not set.');
+      const id = FORM_ID_TEMPLATE.replace(/\{([^}]+)\}/g, (_, name) => {
+        const key = name.trim();
+        const isHeader = ctx.headers.some(h => String(h || '').trim() === key);
+        if (!isHeader && /^[yMdHhmsS][yMdHhmsS._-]*$/.test(key)) return Utilities.formatDate(ctx.submittedAt, tz, key);
+        const text = cellText(key);
+        if (!text) throw new Error(`FORM_ID_TEMPLATE column "${key}" is blank.`);
+        return text;
+      });
+      if (id.indexOf('/') !== -1) throw new Error(`Doc ID "${id}" from FORM_ID_TEMPLATE contains "/".`);
+      return id;
+    }
+    case 'hash': {
+      if (!FORM_ID_COLUMNS.length) throw new Error('FORM_ID_COLUMNS is not set.');
+      const bytes = Utilities.computeDigest(
+        Utilities.DigestAlgorithm.SHA_256,
+        JSON.stringify(FORM_ID_COLUMNS.map(cellText)),
+        Utilities.Charset.UTF_8
+      );
+      return bytes.map(b => ('0' + (b & 0xff).toString(16)).slice(-2)).join('');
+    }
+    default:
+      throw new Error(`Unknown FORM_ID_STRATEGY "${strategy}".`);
+  }
+}
+
+/** Next number of the spreadsheet-wide 'timestamp' sequence (1, 2, …), safe across concurrent submissions. */
+function nextFormSequence_() {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const props = PropertiesService.getDocumentProperties();
+    const next = (parseInt(props.getProperty(FORM_ID_SEQ_KEY), 10) || 0) + 1;
+    props.setProperty(FORM_ID_SEQ_KEY, String(next));
+    return next;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * When a response was submitted: the event's Timestamp (text in the sheet's time zone), else
+ * the row's SUBMISSION_TIME_HEADERS cell, else now.
+ */
+function submissionTime_(e, headers, values) {
+  if (e && e.namedValues && e.namedValues.Timestamp && e.namedValues.Timestamp[0]) {
+    const ts = parseSheetDate_(e.namedValues.Timestamp[0]);
+    if (!isNaN(ts.getTime())) return ts;
+  }
+  const trimmed = headers.map(h => String(h || '').trim());
+  for (let i = 0; i < SUBMISSION_TIME_HEADERS.length; i++) {
+    const idx = trimmed.indexOf(SUBMISSION_TIME_HEADERS[i]);
+    if (idx === -1 || values[idx] === '' || values[idx] == null) continue;
+    const ts = values[idx] instanceof Date ? values[idx] : new Date(values[idx]);
+    if (!isNaN(ts.getTime())) return ts;
+  }
+  return new Date();
+}
+
+/**
+ * Write docId into `row`'s DOC_ID_FIELD_NAME cell, adding that header at the right edge of
+ * `headerRow` if missing. Text IDs get a leading apostrophe so Sheets keeps them verbatim.
+ * Returns the column used (1-based).
+ */
+function stampDocId_(sheet, headerRow, row, docId) {
+  const { DOC_ID_FIELD_NAME } = getConfig_();
+  const lastCol = sheet.getLastColumn();
+  const headers = lastCol ? sheet.getRange(headerRow, 1, 1, lastCol).getValues()[0] : [];
+  let col = headers.map(h => String(h || '').trim()).indexOf(DOC_ID_FIELD_NAME) + 1;
+  if (!col) {
+    col = lastCol + 1;
+    sheet.getRange(headerRow, col).setValue(DOC_ID_FIELD_NAME);
+  }
+  sheet.getRange(row, col).setValue(typeof docId === 'number' ? docId : "'" + docId);
+  return col;
+}
+
+// ---------------------- Retry queue ----------------------
+// Form responses whose write failed with an outage or throttling (isRetryableError_) are kept
+// in the hidden QUEUE_SHEET_NAME sheet, one row per write: the payload, attempt count, next
+// attempt time and last error. A one-off time-driven trigger (RETRY_QUEUE_HANDLER) retries due
+// items with exponential backoff; a 429 pauses the whole queue for the endpoint's Retry-After.
+// Items that keep failing (RETRY_MAX_ATTEMPTS) or get a permanent error stay in the queue as
+// 'failed' until they are retried or discarded from the sidebar. The queue is only locked while
+// it is read or rewritten, never during the writes themselves.
+
+const QUEUE_SHEET_NAME = '_sheetfire_queue';
+const QUEUE_HEADERS = ['id', 'status', 'createdAt', 'nextAttemptAt', 'attempts', 'sheetId', 'row', 'docId', 'collection', 'payload', 'lastError', 'idempotencyKey'];
+const RETRY_QUEUE_HANDLER = 'processRetryQueue';
+/** Delay before the first retry; doubles with every failed attempt up to RETRY_MAX_DELAY_MS. */
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+const RETRY_MAX_ATTEMPTS = 10;
+/** Stop starting new retries after this long in one run. */
+const RETRY_BUDGET_MS = 4 * 60 * 1000;
+
+/** The queue sheet, created (and hidden) on first use when `create` is set; null otherwise. */
+function queueSheet_(create) {
+  const ss = SpreadsheetApp.getActive();
+  let sheet = ss.getSheetByName(QUEUE_SHEET_NAME);
+  if (!sheet && create) {
+    sheet = ss.insertSheet(QUEUE_SHEET_NAME);
+    sheet.getRange(1, 1, 1, QUEUE_HEADERS.length).setValues([QUEUE_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+  }
+  return sheet;
+}
+
+/** Every queued write as { id, status, createdAt, nextAttemptAt, attempts, sheetId, row, docId, collection, doc, lastError, idempotencyKey }. */
+function loadQueue_() {
+  const sheet = queueSheet_(false);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, QUEUE_HEADERS.length).getValues().map(r => {
+    const item = {};
+    QUEUE_HEADERS.forEach((h, i) => { item[h] = r[i]; });
+    item.doc = JSON.parse(item.payload || '{}');
+    delete item.payload;
+    item.attempts = Number(item.attempts) || 0;
+    item.nextAttemptAt = Number(item.nextAttemptAt) || 0;
+    return item;
+  });
+}
+
+/** Replace the queue sheet's rows with `items`. */
+function saveQueue_(items) {
+  const sheet = queueSheet_(true);
+  // Queue sheets from older versions lack the newer columns' headers
+  sheet.getRange(1, 1, 1, QUEUE_HEADERS.length).setValues([QUEUE_HEADERS]);
+  if (sheet.getLastRow() > 1) sheet.getRange(2, 1, sheet.getLastRow() - 1, QUEUE_HEADERS.length).clearContent();
+  if (!items.length) return;
+  const rows = items.map(item => QUEUE_HEADERS.map(h => {
+    if (h === 'payload') return JSON.stringify(item.doc);
+    const v = item[h];
+    return typeof v === 'string' && v ? "'" + v : (v == null ? '' : v);
+  }));
+  sheet.getRange(2, 1, rows.length, QUEUE_HEADERS.length).setValues(rows);
+}
+
+/** Run fn(items) on the queue under the script lock and save what it returns. */
+function updateQueue_(fn) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const items = fn(loadQueue_());
+    saveQueue_(items);
+    return items;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Add a failed write ({ sheetId, row, docId, collection, doc, idempotencyKey }) to the queue and make sure a
+ * retry is scheduled.
+ */
+function enqueueFailedWrite_(write, err) {
+  const now = Date.now();
+  const item = Object.assign({}, write, {
+    id: Utilities.getUuid(),
+    status: 'pending',
+    createdAt: new Date(now).toISOString(),
+    attempts: 1,
+    nextAttemptAt: now + retryDelay_(1, err),
+    lastError: String(err && err.message || err).slice(0, 500),
+  });
+  const items = updateQueue_(queue => queue.concat([item]));
+  scheduleRetryQueue_(items);
+  console.warn(`Queued write of ${write.collection}/${write.docId} for retry: ${item.lastError}`);
+}
+
+/** Wait before attempt number attempts + 1: Retry-After when the endpoint sent one, else exponential backoff with jitter. */
+function retryDelay_(attempts, err) {
+  if (err && err.retryAfterMs) return err.retryAfterMs;
+  const backoff = Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1), RETRY_MAX_DELAY_MS);
+  return backoff + Math.floor(Math.random() * backoff * 0.2);
+}
+
+/** (Re)create the one-off retry trigger for the earliest pending item, or remove it when none is left. */
+function scheduleRetryQueue_(items) {
+  ScriptApp.getProjectTriggers()
+    .filter(t => t.getHandlerFunction() === RETRY_QUEUE_HANDLER)
+    .forEach(t => ScriptApp.deleteTrigger(t));
+  const due = items.filter(i => i.status === 'pending').map(i => i.nextAttemptAt);
+  if (!due.length) return;
+  ScriptApp.newTrigger(RETRY_QUEUE_HANDLER)
+    .timeBased()
+    .after(Math.max(Math.min.apply(null, due) - Date.now(), 60 * 1000))
+    .create();
+}
+
+/** Time-driven trigger handler: retry the queued writes that are due. */
+function processRetryQueue() {
+  const res = retryQueue_();
+  if (res.retried) console.log(`processRetryQueue: retried ${res.retried}, succeeded ${res.succeeded}, failed ${res.failed}`);
+}
+
+/**
+ * Retry the due queued writes, or exactly the items idsOpt (any status). Each attempt reads
+ * the config of the write's sheet (so profile endpoints apply); a success leaves the queue and
+ * updates the row's status columns. Returns { retried, succeeded, failed }.
+ */
+function retryQueue_(idsOpt) {
+  const now = Date.now();
+  const due = loadQueue_()
+    .filter(i => (idsOpt ? idsOpt.indexOf(i.id) !== -1 : i.status === 'pending' && i.nextAttemptAt <= now))
+    .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+
+  const results = {};
+  let throttledUntil = 0;
+  const started = Date.now();
+  for (let i = 0; i < due.length && Date.now() - started < RETRY_BUDGET_MS; i++) {
+    const item = due[i];
+    const sheet = findSheetById_(Number(item.sheetId));
+    useSheetProfile_(sheet);
+    try {
+      const res = writeDoc_(item.doc, item.docId, null, item.collection, item.idempotencyKey || undefined,
+        auditSource_(sheet, Number(item.row)));
+      results[item.id] = { ok: true };
+      if (sheet) markQueuedRowWritten_(sheet, Number(item.row), item.docId, res);
+    } catch (err) {
+      results[item.id] = { ok: false, err };
+      // The endpoint is throttling: leave everything else for after its Retry-After
+      if (err && err.status === 429) {
+        throttledUntil = Date.now() + retryDelay_(item.attempts + 1, err);
+        break;
+      }
+    }
+  }
+
+  const summary = { retried: 0, succeeded: 0, failed: 0 };
+  const items = updateQueue_(queue => queue.filter(item => {
+    const r = results[item.id];
+    if (!r) {
+      if (throttledUntil && item.status === 'pending') item.nextAttemptAt = Math.max(item.nextAttemptAt, throttledUntil);
+      return true;
+    }
+    summary.retried++;
+    if (r.ok) {
+      summary.succeeded++;
+      return false;
+    }
+    summary.failed++;
+    item.attempts++;
+    item.lastError = String(r.err && r.err.message || r.err).slice(0, 500);
+    const giveUp = !isRetryableError_(r.err) || item.attempts >= RETRY_MAX_ATTEMPTS;
+    item.status = giveUp ? 'failed' : 'pending';
+    item.nextAttemptAt = giveUp ? 0 : Date.now() + retryDelay_(item.attempts, r.err);
+    return true;
+  }));
+  scheduleRetryQueue_(items);
+  return summary;
+}
+
+/**
+ * After a queued write succeeded: mark its row OK (status and _updateTime columns), if the row
+ * still holds that docId; otherwise look the docId up in its column.
+ */
+function markQueuedRowWritten_(sheet, row, docId, res) {
+  try {
+    const region = dataRegion_(sheet);
+    const headers = regionHeaders_(sheet, region);
+    const docIdColIndex1 = findDocIdColIndex_(headers);
+    if (!docIdColIndex1 || region.lastRow < region.firstRow) return;
+    const ids = sheet.getRange(region.firstRow, docIdColIndex1, region.lastRow - region.firstRow + 1, 1).getValues()
+      .map(r => String(r[0]).trim());
+    let r = row - region.firstRow;
+    if (ids[r] !== String(docId)) r = ids.indexOf(String(docId));
+    if (r === -1) return;
+
+    const statusCols = ensureStatusColumns_(sheet, region.headerRow);
+    const timeCol = ensureHiddenColumn_(sheet, region.headerRow, UPDATE_TIME_HEADER, true);
+    const rowNow = sheet.getRange(region.firstRow + r, 1, 1, sheet.getLastColumn()).getValues();
+    const outcome = { ok: true, path: res.path, writeTime: res.writeTime, updateTime: res.updateTime };
+    writeStatusColumns_(sheet, statusCols, region.firstRow + r, rowNow, [outcome]);
+    writeHiddenColumn_(sheet, timeCol, region.firstRow + r, rowNow, [outcome], o => o.updateTime || undefined);
+  } catch (e) {
+    console.warn(`Retry of ${docId} succeeded, but its row could not be updated: ${e && e.message ? e.message : e}`);
+  }
+}
+
+/** Sidebar: the queue, newest first, with payloads trimmed for display. */
+function getRetryQueue() {
+  const items = loadQueue_().map(item => {
+    const sheet = findSheetById_(Number(item.sheetId));
+    const payload = JSON.stringify(item.doc, null, 2);
+    return {
+      id: item.id,
+      status: item.status,
+      createdAt: item.createdAt,
+      nextAttemptAt: item.nextAttemptAt ? new Date(item.nextAttemptAt).toISOString() : '',
+      attempts: item.attempts,
+      sheetName: sheet ? sheet.getName() : '',
+      row: item.row,
+      docId: item.docId,
+      collection: item.collection,
+      payload: payload.length > 2000 ? payload.slice(0, 2000) + '\n…' : payload,
+      lastError: item.lastError,
+    };
+  });
+  return { items: items.reverse() };
+}
+
+/** Sidebar: retry the given queued writes now (failed ones included). */
+function retryQueuedWrites(ids) {
+  const res = retryQueue_(ids || []);
+  return Object.assign(getRetryQueue(), { result: res });
+}
+
+/** Sidebar: drop the given queued writes without writing them. */
+function discardQueuedWrites(ids) {
+  const drop = ids || [];
+  const items = updateQueue_(queue => queue.filter(item => drop.indexOf(item.id) === -1));
+  scheduleRetryQueue_(items);
+  return getRetryQueue();
+}
+
+// ---------------------- Row history ----------------------
+// The backend writes an audit entry for every write and delete it performs (who, from which
+// spreadsheet/sheet/row, and a field-level diff). The sidebar's "View history for this row"
+// reads the entries for the active row's doc through the /history route.
+
+/**
+ * Audit entries for the doc of the active row, newest first (sidebar). Returns
+ * { sheet, row, docId, path, entries: [{ id, op, at, identity, spreadsheetId, sheet, row, created, changes }] };
+ * change values are typed-value encoded as in /list responses.
+ */
+function getRowHistory() {
+  const sheet = SpreadsheetApp.getActiveSheet();
+  useSheetProfile_(sheet);
+  const cfg = getConfig_();
+  const region = dataRegion_(sheet);
+  const row = sheet.getActiveRange().getRow();
+  if (row < region.firstRow || row > region.lastRow) {
+    throw new Error(`Row ${row} is outside ${describeRegion_(region)}. Select a data row.`);
+  }
+
+  const headers = regionHeaders_(sheet, region);
+  const docIdColIndex1 = findDocIdColIndex_(headers);
+  if (!docIdColIndex1) throw new Error(`No "${cfg.DOC_ID_FIELD_NAME}" header in ${describeRegion_(region)}.`);
+  const values = sheet.getRange(row, 1, 1, sheet.getLastColumn()).getValues()[0];
+  const raw = values[docIdColIndex1 - 1];
+  const docId = String(raw === null ? '' : raw).trim();
+  if (!docId) throw new Error(`Row ${row} has no ${cfg.DOC_ID_FIELD_NAME}, so it has no doc yet.`);
+  const path = collectionPathForRow_(headers, values) + '/' + docId;
+
+  const secret = getCredential_();
+  if (!secret) throw new Error('APP_SECRET is not set. Save it in Settings first.');
+  const res = postToEndpoint_('history', { path }, secret);
+  if (res.getResponseCode() >= 300) throw httpError_(res);
+  const json = JSON.parse(res.getContentText());
+  return { sheet: sheet.getName(), row, docId, path, entries: (json && json.entries) || [] };
+}
+
+// ---------------------- Live sync ----------------------
+// Opt-in: an installable onEdit trigger records edited rows as dirty ranges (per sheet) in
+// Document Properties and makes sure one short time-driven flush is pending. The flush pushes
+// the dirty rows through processRowsToFirestore_, so a burst of edits becomes one push.
+// Rows are tracked by number: inserting/deleting rows before the flush can shift them, in
+// which case a neighbouring row is pushed (harmless, writes are by docId) and the edit is
+// picked up by the next manual push.
+
+const LIVE_SYNC_DIRTY_KEY = 'LIVE_SYNC_DIRTY';
+const LIVE_SYNC_EDIT_HANDLER = 'onLiveSyncEdit';
+const LIVE_SYNC_FLUSH_HANDLER = 'flushLiveSync';
+/** Quiet period between the first edit of a burst and the push. */
+const LIVE_SYNC_DEBOUNCE_MS = 60 * 1000;
+/** Wait before flushing again when a flush could not push (no credential, or it failed). */
+const LIVE_SYNC_RETRY_MS = 10 * 60 * 1000;
+
+/**
+ * Install the live-sync onEdit trigger for this spreadsheet (no duplicates).
+ */
+function installLiveSync() {
+  const ssId = SpreadsheetApp.getActive().getId();
+  const triggers = ScriptApp.getProjectTriggers();
+  const exists = triggers.some(t => t.getHandlerFunction() === LIVE_SYNC_EDIT_HANDLER);
+  if (!exists) {
+    ScriptApp.newTrigger(LIVE_SYNC_EDIT_HANDLER)
+      .forSpreadsheet(ssId)
+      .onEdit()
+      .create();
+  }
+  return { created: !exists };
+}
+
+/**
+ * Remove the live-sync triggers and forget any rows still waiting to be pushed.
+ */
+function uninstallLiveSync() {
+  let removed = 0;
+  ScriptApp.getProjectTriggers()
+    .filter(t => [LIVE_SYNC_EDIT_HANDLER, LIVE_SYNC_FLUSH_HANDLER].indexOf(t.getHandlerFunction()) !== -1)
+    .forEach(t => { ScriptApp.deleteTrigger(t); removed++; });
+  PropertiesService.getDocumentProperties().deleteProperty(LIVE_SYNC_DIRTY_KEY);
+  return { removed };
+}
+
+/**
+ * Installable onEdit handler: mark the edited rows dirty and schedule a flush.
+ * Edits to the header row or to SheetFire's own status/hash columns are ignored.
+ */
+function onLiveSyncEdit(e) {
+  if (!e || !e.range) return;
+  const range = e.range;
+  const sheet = range.getSheet();
+  useSheetProfile_(sheet);
+  let region;
+  try {
+    region = dataRegion_(sheet);
+  } catch (err) {
+    return; // DATA_RANGE is on another tab: nothing here is synced
+  }
+
+  // Edits outside the data region never reach Firestore, so they are not tracked either
+  const start = Math.max(range.getRow(), region.firstRow);
+  const end = Math.min(range.getRow() + range.getNumRows() - 1, region.lastRow);
+  if (end < start) return;
+
+  const headers = regionHeaders_(sheet, region)
+    .slice(range.getColumn() - 1, range.getColumn() - 1 + range.getNumColumns());
+  if (headers.every(h => !String(h).trim() || isReservedHeader_(String(h)))) return;
+
+  // Script lock (not the document lock, which a long push job may hold for minutes)
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(5000)) {
+    console.warn('onLiveSyncEdit: lock busy; rows ' + start + '–' + end + ' not marked.');
+    return;
+  }
+  try {
+    const dirty = loadLiveSyncDirty_();
+    addDirtyRange_(dirty, String(sheet.getSheetId()), start, end);
+    PropertiesService.getDocumentProperties().setProperty(LIVE_SYNC_DIRTY_KEY, JSON.stringify(dirty));
+
+    const pending = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === LIVE_SYNC_FLUSH_HANDLER);
+    if (!pending) {
+      ScriptApp.newTrigger(LIVE_SYNC_FLUSH_HANDLER)
+        .timeBased()
+        .after(LIVE_SYNC_DEBOUNCE_MS)
+        .create();
+    }
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Time-driven handler: push every dirty row, then clear the dirty set. Rows it could not push
+ * (no credential, or a push that threw) stay dirty and are retried after LIVE_SYNC_RETRY_MS.
+ */
+function flushLiveSync() {
+  // One-off triggers stay listed after firing; drop ours so the next edit schedules a new one
+  ScriptApp.getProjectTriggers()
+    .filter(t => t.getHandlerFunction() === LIVE_SYNC_FLUSH_HANDLER)
+    .forEach(t => ScriptApp.deleteTrigger(t));
+
+  // Don't interleave with a push job slice; try again after the next quiet period
+  const docLock = LockService.getDocumentLock();
+  if (!docLock.tryLock(10000)) {
+    ScriptApp.newTrigger(LIVE_SYNC_FLUSH_HANDLER).timeBased().after(LIVE_SYNC_DEBOUNCE_MS).create();
+    return;
+  }
+
+  try {
+    // Without a credential nothing can be pushed: keep the dirty set for a later try
+    const secret = getCredential_();
+    if (!secret) {
+      console.error('flushLiveSync: APP_SECRET is not set; keeping the dirty rows for a retry.');
+      requeueLiveSyncDirty_({});
+      return;
+    }
+
+    // Take the current dirty set; edits arriving from now on start a new one
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    let dirty;
+    try {
+      dirty = loadLiveSyncDirty_();
+      PropertiesService.getDocumentProperties().deleteProperty(LIVE_SYNC_DIRTY_KEY);
+    } finally {
+      lock.releaseLock();
+    }
+
+    // Ranges not pushed yet; whatever is left here when a push throws goes back to the dirty set
+    const unpushed = JSON.parse(JSON.stringify(dirty));
+    try {
+      pushLiveSyncDirty_(dirty, unpushed, secret);
+    } catch (e) {
+      console.error(`flushLiveSync: ${e && e.message ? e.message : e}; keeping the unpushed rows for a retry.`);
+      requeueLiveSyncDirty_(unpushed);
+    }
+  } finally {
+    docLock.releaseLock();
+  }
+}
+
+/** Push flushLiveSync's dirty ranges, removing each from `unpushed` once it has been sent. */
+function pushLiveSyncDirty_(dirty, unpushed, secret) {
+  Object.keys(dirty).forEach(sheetId => {
+    const sheet = findSheetById_(Number(sheetId));
+    if (!sheet) {
+      delete unpushed[sheetId];
+      return;
+    }
+    useSheetProfile_(sheet);
+    const lastRow = sheet.getLastRow();
+    let headers;
+    try {
+      headers = regionHeaders_(sheet, dataRegion_(sheet));
+    } catch (e) {
+      console.error(`flushLiveSync: ${sheet.getName()}: ${e && e.message ? e.message : e}`);
+      delete unpushed[sheetId];
+      return;
+    }
+    const docIdColIndex1 = findDocIdColIndex_(headers);
+    if (!docIdColIndex1) {
+      delete unpushed[sheetId]; // not a SheetFire table
+      return;
+    }
+
+    dirty[sheetId].forEach(([start, end]) => {
+      const last = Math.min(end, lastRow);
+      if (last >= start) {
+        const summary = processRowsToFirestore_(sheet, headers, docIdColIndex1, start, last - start + 1, secret);
+        console.log(`flushLiveSync: ${sheet.getName()} rows ${start}–${last}: sent ${summary.sent}, ` +
+          `skippedNoId ${summary.skippedNoId}, errors ${summary.skippedErrors}, outside region ${summary.outsideRegion}`);
+        summary.errors.forEach(msg => console.error('flushLiveSync: ' + msg));
+      }
+      unpushed[sheetId].shift();
+    });
+    delete unpushed[sheetId];
+  });
+}
+
+/**
+ * Put `ranges` ({ sheetId: [[start, end], …] }) back into the live-sync dirty set and make sure a
+ * flush is scheduled (after LIVE_SYNC_RETRY_MS) for whatever the set holds.
+ */
+function requeueLiveSyncDirty_(ranges) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const dirty = loadLiveSyncDirty_();
+    Object.keys(ranges).forEach(sheetId => {
+      ranges[sheetId].forEach(([start, end]) => addDirtyRange_(dirty, sheetId, start, end));
+    });
+    if (!Object.keys(dirty).length) return;
+    PropertiesService.getDocumentProperties().setProperty(LIVE_SYNC_DIRTY_KEY, JSON.stringify(dirty));
+
+    const pending = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === LIVE_SYNC_FLUSH_HANDLER);
+    if (!pending) {
+      ScriptApp.newTrigger(LIVE_SYNC_FLUSH_HANDLER)
+        .timeBased()
+        .after(LIVE_SYNC_RETRY_MS)
+        .create();
+    }
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function loadLiveSyncDirty_() {
+  const raw = PropertiesService.getDocumentProperties().getProperty(LIVE_SYNC_DIRTY_KEY);
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw) || {};
+  } catch (e) {
+    return {};
   }
+}
 
-  // Auto-ID by passing blank docId
-  writeDoc_(doc, '');
+/** Add [start, end] to a sheet's sorted list of dirty row ranges, merging overlaps/neighbours. */
+function addDirtyRange_(dirty, sheetId, start, end) {
+  const ranges = (dirty[sheetId] || []).concat([[start, end]]).sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  ranges.forEach(([s, e]) => {
+    const last = merged[merged.length - 1];
+    if (last && s <= last[1] + 1) last[1] = Math.max(last[1], e);
+    else merged.push([s, e]);
+  });
+  dirty[sheetId] = merged;
+  return dirty;
 }
 
 /**
@@ -775,13 +3808,29 @@ function formatSummary_(s) {
     `Skipped (blank ${getConfig_().DOC_ID_FIELD_NAME}): ${s.skippedNoId}`,
     `Skipped due to errors: ${s.skippedErrors}`,
   ];
+  if (s.skippedUnchanged) lines.push(`Skipped (unchanged since last push): ${s.skippedUnchanged}`);
+  if (s.deleted) lines.push(`Deleted from Firestore (${DELETE_FLAG_HEADER} rows): ${s.deleted}`);
+  if (s.outsideRegion) lines.push(`Not pushed (outside the data region): ${s.outsideRegion}`);
+  if (s.invalid) lines.push(`Rejected by the collection schema (see errors): ${s.invalid}`);
+
+  // Conflicts are listed on their own: nothing is wrong with the row, Firestore just moved on
+  const conflicts = s.conflicts || [];
+  if (conflicts.length) {
+    const maxShow = 10;
+    lines.push('', `Conflicts (changed in Firestore since last sync, not written): ${conflicts.length + (s.moreConflicts || 0)}`);
+    conflicts.slice(0, maxShow).forEach(c => lines.push(
+      `• Row ${c.row} (${c.docId}${c.op === 'delete' ? ', delete' : ''}): ` +
+      (c.deleted ? 'deleted in Firestore' : `updated in Firestore at ${c.serverUpdateTime}`)));
+    const extra = conflicts.length - Math.min(conflicts.length, maxShow) + (s.moreConflicts || 0);
+    if (extra > 0) lines.push(`(+${extra} more)`);
+  }
 
   if (s.errors && s.errors.length) {
     const maxShow = 10;
     const shown = s.errors.slice(0, maxShow);
     lines.push('', 'Errors:');
     shown.forEach(msg => lines.push(`• ${msg}`));
-    const extra = s.errors.length - shown.length;
+    const extra = s.errors.length - shown.length + (s.moreErrors || 0);
     if (extra > 0) lines.push(`(+${extra} more)`);
   }
 
@@ -789,69 +3838,6 @@ function formatSummary_(s) {
 }
 
 
-// AUTO: stamp yyyymmdd docID for the new response, then push ONLY that row to Firestore
-function onFormSubmit(e) {
-  const { DOC_ID_FIELD_NAME } = getConfig_();
-  const sheet = e.range.getSheet();
-  const row   = e.range.getRow();
-
-  // --- 1) Ensure docID column exists and write yyyymmdd for this new row ---
-  const lastCol = sheet.getLastColumn();
-  let headers   = sheet.getRange(1, 1, 1, lastCol).getValues()[0];
-
-  let docCol = headers.indexOf(DOC_ID_FIELD_NAME) + 1; // 1-based
-  if (docCol === 0) {
-    // Add header at the end if missing
-    docCol = lastCol + 1;
-    sheet.getRange(1, docCol).setValue(DOC_ID_FIELD_NAME);
-  }
-
-  // Resolve Timestamp from event or sheet
-  const tz = Session.getScriptTimeZone();
-  let ts;
-  if (e?.namedValues?.Timestamp?.[0]) {
-    ts = new Date(e.namedValues.Timestamp[0]);
-  } else {
-    // Fallback: try to locate a timestamp column by common names, else now()
-    headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-    const tsHeaderCandidates = ['Timestamp', 'Submitted at', 'Submission Time'];
-    let tsCol = -1;
-    for (const h of tsHeaderCandidates) {
-      const idx = headers.indexOf(h);
-      if (idx !== -1) { tsCol = idx + 1; break; }
-    }
-    ts = tsCol === -1 ? new Date() : new Date(sheet.getRange(row, tsCol).getValue());
-  }
-
-  const yyyymmdd = Utilities.formatDate(ts, tz, 'yyyyMMdd');
-  sheet.getRange(row, docCol).setValue(Number(yyyymmdd));
-
-  // Make sure the write is committed before we read the row back
-  SpreadsheetApp.flush();
-
-  // --- 2) Push ONLY this row to Firestore using your existing helpers ---
-  const headerRow = 1;
-  const lastColNow = sheet.getLastColumn();
-  const hdrs = sheet.getRange(headerRow, 1, 1, lastColNow).getValues()[0];
-
-  const docIdColIndex1 = findDocIdColIndex_(hdrs);
-  if (!docIdColIndex1) {
-    // Shouldn't happen since we just ensured the header, but guard anyway
-    console.warn(`Header "${DOC_ID_FIELD_NAME}" not found; skipping push.`);
-    return;
-  }
-
-  try {
-    // Reuse your pipeline but for exactly one row
-    // This trigger cannot prompt for a secret; require legacy script property fallback.
-    const summary = processRowsToFirestore_(sheet, hdrs, docIdColIndex1, row, 1, getSavedSecret_());
-    // Optional: small toast for debugging (remove if not wanted)
-    sheet.toast(`Firestore push: sent ${summary.sent}, skippedNoId ${summary.skippedNoId}, errors ${summary.skippedErrors}`, 'onFormSubmit');
-  } catch (err) {
-    console.error('Push latest row failed:', err);
-  }
-}
-
 // ================= Configuration Sidebar (HTMLService) =================
 
 /** Prompt user for APP_SECRET once (spreadsheet UI), not persisted. */
@@ -877,31 +3863,38 @@ function runDiagnostics(opts) {
   const endpoint = cfg.CF_ENDPOINT;
   const collection = cfg.COLLECTION;
   const doc = { _diagnostic: true, _ts: new Date().toISOString() };
-  const appSecret = (opts && opts.APP_SECRET) ? String(opts.APP_SECRET) : getSavedSecret_();
+  const appSecret = (opts && opts.APP_SECRET) ? String(opts.APP_SECRET) : getCredential_();
 
   if (!endpoint) return { ok: false, message: 'CF_ENDPOINT is empty' };
   if (!collection) return { ok: false, message: 'COLLECTION is empty' };
   if (!appSecret) return { ok: false, message: 'APP_SECRET not provided' };
+  // Which credential mode reached the backend (see authHeaders_), and whom the backend took it for
+  const via = cfg.AUTH_MODE === 'google' ? ' [Google identity]' : cfg.SIGN_REQUESTS ? ' [signed request]' : '';
+  const seenAs = j => (j && j.identity ? ' as ' + j.identity : '');
 
   try {
-    const res = UrlFetchApp.fetch(endpoint, {
-      method: 'post',
-      contentType: 'application/json',
-      headers: { 'x-app-secret': appSecret },
-      payload: JSON.stringify({ collection, doc, docId: '', dryRun: true }),
-      muteHttpExceptions: true,
-    });
+    const res = postToEndpoint_('', { collection, doc, docId: '', dryRun: true }, appSecret);
     const code = res.getResponseCode();
     const body = res.getContentText() || '';
+    let j = null;
+    try {
+      j = JSON.parse(body);
+    } catch (_) {}
+    const identity = (j && j.identity) || '';
     if (code >= 200 && code < 300) {
-      // Try to parse for additional context
-      try {
-        const j = JSON.parse(body);
-        if (j && j.ok) return { ok: true, message: 'Healthy (dryRun ok: ' + (j.path || j.wouldWriteTo || 'ok') + ')' };
-      } catch (_) {}
-      return { ok: true, message: 'Healthy (HTTP ' + code + ')' };
+      // Use the parsed body for additional context
+      if (j && j.ok) {
+        return { ok: true, identity, message: 'Healthy (dryRun ok: ' + (j.path || j.wouldWriteTo || 'ok') + ')' + seenAs(j) + via };
+      }
+      return { ok: true, identity, message: 'Healthy (HTTP ' + code + ')' + via };
+    }
+    if (code === 422) {
+      // Reached and authorized; a strict collection schema just doesn't accept the probe doc
+      const detail = j ? resultError_(j) : body.slice(0, 200);
+      return { ok: true, identity, message: 'Healthy (schema rejects the diagnostic doc: ' + detail + ')' + seenAs(j) + via };
     }
-    return { ok: false, message: 'HTTP ' + code + ': ' + body.slice(0, 200) };
+    // A 403 names the key or Google account the backend saw
+    return { ok: false, message: 'HTTP ' + code + ': ' + body.slice(0, 200) + via };
   } catch (err) {
     return { ok: false, message: String(err && err.message || err) };
   }
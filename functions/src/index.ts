@@ -4,41 +4,1811 @@ import { defineSecret } from 'firebase-functions/params';
 import * as logger from 'firebase-functions/logger';
 import * as admin from 'firebase-admin';
 import type { Request, Response } from 'express';
+import { OAuth2Client } from 'google-auth-library';
 // Avoid requiring @types/node by using dynamic require
 declare const require: any;
-const { timingSafeEqual } = require('crypto');
+declare const __dirname: string;
+const { timingSafeEqual, createHash, createHmac, createDecipheriv, randomBytes } = require('crypto');
+const fs = require('fs');
 
 admin.initializeApp();
 const db = admin.firestore();
 
 // Secret managed via: firebase functions:secrets:set APP_SECRET
 const APP_SECRET = defineSecret('APP_SECRET');
+// Set DISABLE_SHARED_SECRET=true once everyone has a personal API key
+const SHARED_SECRET_ENABLED = (globalThis as any)?.process?.env?.DISABLE_SHARED_SECRET !== 'true';
 
-// Optional: basic allowlist/shape check for collection names (alphanum, dashes/underscores)
+// Per-user API keys, managed with scripts/api-keys.js. A key reads "sfk_<keyId>.<secret>" and is
+// sent in the same x-app-secret header as the shared secret; the doc <keyId> here holds its
+// SHA-256 hash, never the secret itself.
+const API_KEYS_COLLECTION = '_sheetfire_keys';
+const API_KEY_RE = /^sfk_([A-Za-z0-9]{8,32})\.([A-Za-z0-9_-]{20,128})$/;
+// Field stamped with the writing key's ID on every doc written with an API key (or
+// "google:<email>" with a Google account)
+const WRITTEN_BY_FIELD = 'updatedByKey';
+// SheetFire's own collections (keys, idempotency records, config); a "*" grant doesn't cover them
+const RESERVED_COLLECTION_PREFIX = '_sheetfire_';
+
+// Signed requests (SIGN_REQUESTS in the sheet) keep the secret off the wire. The caller sends
+//   x-sheetfire-key-id     an API key's <keyId>, or "APP_SECRET" for the shared secret
+//   x-sheetfire-timestamp  unix seconds
+//   x-sheetfire-nonce      a fresh random string per request
+//   x-sheetfire-signature  "v1=" + hex HMAC-SHA256 of "<timestamp>\n<nonce>\n<method>\n<path>\n<body>",
+//                          keyed with the signing key: hex HMAC-SHA256 of SIGNING_KEY_LABEL under the
+//                          secret (for an API key, its part after the dot)
+// An API key's signing key is stored sealed with SIGNING_PEPPER (see ApiKeyRecord.signingKey), so
+// neither its hash nor its record alone can check or forge signatures. Requests more than
+// SIGNATURE_WINDOW_SECONDS off the server clock are refused, and each nonce is accepted once
+// (NONCES_COLLECTION; give its expiresAt field a TTL policy). REQUIRE_SIGNATURE=true refuses the
+// legacy x-app-secret header.
+// Secret managed via: firebase functions:secrets:set SIGNING_PEPPER (scripts/api-keys.js needs it too)
+const SIGNING_PEPPER = defineSecret('SIGNING_PEPPER');
+const SIGNING_KEY_LABEL = 'sheetfire-signing-v1';
+const SIGNATURE_WINDOW_SECONDS = envNumber('SIGNATURE_WINDOW_SECONDS', 300);
+const REQUIRE_SIGNATURE = (globalThis as any)?.process?.env?.REQUIRE_SIGNATURE === 'true';
+const NONCES_COLLECTION = '_sheetfire_nonces';
+const SIGNATURE_RE = /^v1=([0-9a-f]{64})$/;
+const NONCE_RE = /^[A-Za-z0-9_-]{16,128}$/;
+const SHARED_SECRET_KEY_ID = 'APP_SECRET';
+
+// Google identity (AUTH_MODE "google" in the sheet): the caller sends "Authorization: Bearer <token>",
+// an ID token from ScriptApp.getIdentityToken() or an OAuth access token with the email scope.
+// Tokens must have been issued to one of GOOGLE_AUTH_AUDIENCES (comma-separated OAuth client IDs,
+// e.g. the Apps Script project's); Google identity is off while it is empty. Which accounts may do
+// what is set by the "rules" array of IDENTITY_CONFIG_DOC (see IdentityRule), re-read every minute.
+const GOOGLE_AUTH_AUDIENCES: string[] = String((globalThis as any)?.process?.env?.GOOGLE_AUTH_AUDIENCES || '')
+  .split(',')
+  .map((a) => a.trim())
+  .filter(Boolean);
+const IDENTITY_CONFIG_DOC = (globalThis as any)?.process?.env?.IDENTITY_CONFIG_DOC || '_sheetfire_config/identities';
+const IDENTITY_CACHE_MS = 60 * 1000;
+// Caller key IDs of Google accounts ("google:alice@example.com"), as stamped in WRITTEN_BY_FIELD
+const GOOGLE_KEY_PREFIX = 'google:';
+
+type Operation = 'write' | 'delete' | 'read';
+
+type ApiKeyRecord = {
+  name: string;
+  hash: string;           // hex SHA-256 of the secret part
+  signingKey?: string;    // the signing key sealed with SIGNING_PEPPER (see openSigningKey); absent = can't sign
+  collections: string[];  // collection paths; "*" matches one segment, a lone "*" any collection
+  operations: Operation[];
+  expiresAt?: admin.firestore.Timestamp | null;
+  revokedAt?: admin.firestore.Timestamp | null;
+};
+
+// What a key or Google account may do: `operations` on the collection paths in `collections`
+type Grant = {
+  collections: string[];  // "*" matches one segment, a lone "*" any non-reserved collection
+  operations: Operation[];
+};
+
+// One entry of IDENTITY_CONFIG_DOC's "rules": accounts matching any of `principals` (an email, or
+// "@example.com" for a whole domain) get the grant. An account may match several rules
+type IdentityRule = Grant & { principals: string[] };
+
+// Who is calling: an API key, a Google account (keyId GOOGLE_KEY_PREFIX + email), or (keyId null)
+// the shared APP_SECRET, which may do anything
+type Caller = {
+  keyId: string | null;
+  name?: string;
+  email?: string;
+  grants?: Grant[];
+};
+
+// Allowlist/shape check for collection IDs (alphanum, dashes/underscores). Applies to every
+// collection segment of a path; document IDs follow Firestore's own rules (see checkDocId)
 const COLLECTION_RE = /^[A-Za-z0-9_-]{1,128}$/;
 
+// Firestore nests subcollections at most 100 levels deep (collection + doc per level)
+const MAX_PATH_SEGMENTS = 200;
+
 // Region is configurable via environment variable set at deploy time
 // Fallback to 'us-central1' if not provided. Use globalThis to avoid needing @types/node.
 const REGION = (globalThis as any)?.process?.env?.REGION || 'us-central1';
 
 type IncomingBody = {
-  collection?: string;
+  collection?: string; // collection or subcollection path, e.g. "customers/c1/orders"
+  path?: string;       // optional full document path; replaces collection + docId
   doc?: Record<string, unknown>;
   docId?: string;
   merge?: boolean;   // optional, defaults true
   dryRun?: boolean;  // optional: validate but don’t write
+  lastUpdateTime?: string; // optional precondition: write only if the doc's updateTime still equals this
+  source?: WriteSource; // optional: where the data came from, for the audit log
+};
+
+// Where a write came from, recorded in its audit entry; batch items carry their own row
+type WriteSource = {
+  spreadsheetId?: string;
+  sheet?: string;
+  row?: number;
+};
+
+type BatchItem = {
+  docId?: string;
+  path?: string;     // optional full document path, so one batch can span (sub)collections
+  doc?: Record<string, unknown>;
+  lastUpdateTime?: string; // optional precondition, as for single writes
+  row?: number;      // optional sheet row, for the audit log
+};
+
+type BatchBody = {
+  collection?: string; // used by items without a path
+  items?: BatchItem[];
+  merge?: boolean;   // optional, defaults true; applies to every item
+  dryRun?: boolean;  // optional: validate every item but don’t write
+  source?: WriteSource; // optional spreadsheet + sheet for the audit log
+};
+
+type BatchItemResult = {
+  index: number;
+  ok: boolean;
+  id?: string;
+  path?: string;
+  writeTime?: string;
+  updateTime?: string;
+  error?: string;
+  conflict?: boolean;
+  current?: ServerVersion;
+  exists?: boolean; // /delete dry run: whether the doc is there to delete
+  errors?: FieldError[]; // the doc does not match its collection's schema
+  tooLarge?: boolean; // the doc exceeds MAX_DOC_BYTES or MAX_DOC_FIELDS
+};
+
+type DeleteItem = {
+  docId?: string;
+  path?: string;     // optional full document path instead of collection + docId
+  lastUpdateTime?: string; // optional precondition: delete only if unchanged since
+  row?: number;      // optional sheet row, for the audit log
+};
+
+type DeleteBody = {
+  collection?: string; // used by items without a path
+  items?: DeleteItem[];
+  dryRun?: boolean;  // optional: report which docs exist but don’t delete
+  source?: WriteSource; // optional spreadsheet + sheet for the audit log
+};
+
+type HistoryBody = {
+  path?: string;   // full document path
+  limit?: number;  // optional, defaults DEFAULT_HISTORY_LIMIT, capped at MAX_HISTORY_LIMIT
+};
+
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 200;
+
+// What the server holds when a precondition fails, so the client can show or pull it
+type ServerVersion = {
+  exists: boolean;
+  updateTime?: string;
+  data?: unknown;
+};
+
+// Upper bound on items per /batch request; Apps Script sends smaller chunks
+const MAX_BATCH_ITEMS = 500;
+
+type ListFilter = {
+  field?: string;
+  op?: string;
+  value?: unknown;
+};
+
+type ListBody = {
+  collection?: string;
+  pageSize?: number;   // optional, defaults DEFAULT_LIST_PAGE, capped at MAX_LIST_PAGE
+  pageToken?: string;  // optional: nextPageToken from the previous page
+  where?: ListFilter[]; // optional equality-style filters, ANDed
+  ids?: string[];      // optional: fetch exactly these doc IDs instead of a page
+  paths?: string[];    // optional: fetch exactly these full document paths (any collection)
+  idsOnly?: boolean;   // optional: return ids and times without field data
+};
+
+const DEFAULT_LIST_PAGE = 300;
+const MAX_LIST_PAGE = 1000;
+const MAX_LIST_IDS = 100;
+
+// Filters that combine with the document-ID ordering used for pagination without custom indexes
+const LIST_OPS = ['==', 'in', 'array-contains', 'array-contains-any'];
+
+// Firestore allows maps/arrays nested at most 20 levels deep
+const MAX_FIELD_DEPTH = 20;
+
+// Size limits (413 when exceeded). A request's raw body, and each doc: its JSON size (Firestore's
+// own limit is 1 MiB per doc) and its number of leaf fields. Override via environment variables.
+const MAX_REQUEST_BYTES = envNumber('MAX_REQUEST_BYTES', 10 * 1024 * 1024);
+const MAX_DOC_BYTES = envNumber('MAX_DOC_BYTES', 1000 * 1000);
+const MAX_DOC_FIELDS = envNumber('MAX_DOC_FIELDS', 1000);
+
+// Token-bucket rate limits: `perMinute` tokens refill per minute up to `burst`, one per request;
+// perMinute 0 turns a limit off. Every caller's IP is limited before authentication (Apps Script
+// traffic comes from shared Google addresses, hence the higher default), and every API key after
+// it (all shared-secret callers share one bucket). Buckets live in RATE_LIMIT_COLLECTION, or in
+// instance memory with RATE_LIMIT_STORE=memory, the default in the emulator; "off" disables both.
+type RateLimit = { perMinute: number; burst: number };
+const RATE_LIMITS: Record<'ip' | 'key', RateLimit> = {
+  ip: { perMinute: envNumber('RATE_LIMIT_IP_PER_MINUTE', 600), burst: envNumber('RATE_LIMIT_IP_BURST', 200) },
+  key: { perMinute: envNumber('RATE_LIMIT_PER_MINUTE', 120), burst: envNumber('RATE_LIMIT_BURST', 60) },
+};
+const RATE_LIMIT_STORE: string = (globalThis as any)?.process?.env?.RATE_LIMIT_STORE
+  || ((globalThis as any)?.process?.env?.FUNCTIONS_EMULATOR === 'true' ? 'memory' : 'firestore');
+const RATE_LIMIT_COLLECTION = '_sheetfire_ratelimits';
+// In-memory buckets are pruned of idle entries once there are this many
+const MAX_MEMORY_BUCKETS = 10000;
+
+type Bucket = { tokens: number; at: number };
+
+// Origins a browser may call from (comma-separated CORS_ORIGINS); "*", the default, allows any.
+// Apps Script sends no Origin header, so it is unaffected
+const CORS_ORIGINS: string[] = String((globalThis as any)?.process?.env?.CORS_ORIGINS || '*')
+  .split(',')
+  .map((o) => o.trim())
+  .filter(Boolean);
+
+// Typed values arrive as JSON objects tagged with this key, since JSON has no dates/geo/refs:
+//   { "__sheetfire": "timestamp", "value": "2024-05-01T13:00:00.000Z" }
+//   { "__sheetfire": "geopoint", "latitude": 52.1, "longitude": 4.3 }
+//   { "__sheetfire": "reference", "path": "customers/abc" }
+const TYPE_TAG = '__sheetfire';
+
+// Requests with an Idempotency-Key header have their response kept here (doc ID: hash of route +
+// key) so a retry gets the same answer instead of writing again. expiresAt is the field to put a
+// Firestore TTL policy on; expired records are ignored even before TTL removes them.
+const IDEMPOTENCY_COLLECTION = '_sheetfire_idempotency';
+const IDEMPOTENCY_KEY_RE = /^[\x21-\x7E]{1,255}$/;
+const IDEMPOTENCY_TTL_HOURS = Number((globalThis as any)?.process?.env?.IDEMPOTENCY_TTL_HOURS) || 24;
+// A request that died mid-way leaves a pending record; after this long a retry may take it over
+const IDEMPOTENCY_LEASE_MS = 10 * 60 * 1000;
+
+// Per-collection JSON Schemas, keyed by collection ID (the last collection segment of a path, so
+// "orders" covers customers/{id}/orders too). Read from schemas/<collection>.json next to the
+// deployed code, and from the fields of the SCHEMA_CONFIG_DOC document (a schema object or its
+// JSON text per collection), which take precedence and are re-read every SCHEMA_CACHE_MS.
+const SCHEMA_DIR = `${__dirname}/../schemas`;
+const SCHEMA_CONFIG_DOC = (globalThis as any)?.process?.env?.SCHEMA_CONFIG_DOC || '_sheetfire_config/schemas';
+const SCHEMA_CACHE_MS = 60 * 1000;
+
+// The supported subset of JSON Schema, plus the Firestore types "timestamp", "geopoint" and
+// "reference" for "type" (docs are checked after typed values are decoded)
+type JsonSchema = {
+  type?: string | string[];
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  additionalProperties?: boolean | JsonSchema;
+  items?: JsonSchema;
+  enum?: unknown[];
+  const?: unknown;
+  minimum?: number;
+  maximum?: number;
+  exclusiveMinimum?: number;
+  exclusiveMaximum?: number;
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  minItems?: number;
+  maxItems?: number;
+};
+
+type FieldError = {
+  field: string; // dotted path as built from sheet headers, e.g. "address.city" or "tags[0]"
+  message: string;
 };
 
-function setCors(res: Response) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
+// Every successful write and delete gets an entry here: who (API key or shared secret), where
+// from (spreadsheet, sheet, row) and a field-level diff against the version read just before
+// the write. Set AUDIT_COLLECTION=off to stop auditing (and the extra read per doc it costs).
+// Entry IDs start with an inverted timestamp, so ID order is newest first (see handleHistory).
+const AUDIT_COLLECTION_ENV = (globalThis as any)?.process?.env?.AUDIT_COLLECTION;
+const AUDIT_COLLECTION = AUDIT_COLLECTION_ENV === 'off' ? '' : AUDIT_COLLECTION_ENV || '_sheetfire_audit';
+const AUDIT_ID_MAX = 9999999999999; // ms since epoch stay below this until the year 2286
+
+// Fields the server sets on every write; they change every time, so diffs leave them out
+const SERVER_FIELDS = ['createdAt', 'updatedAt', WRITTEN_BY_FIELD];
+
+type FieldChange = {
+  field: string;
+  before?: unknown; // absent: the field is new
+  after?: unknown;  // absent: the field was removed
+};
+
+type IdempotencyRecord = {
+  state: 'pending' | 'done';
+  route: string;
+  fingerprint: string; // hash of the request body, so a key can't be reused for another request
+  status?: number;
+  contentType?: string;
+  body?: string;
+  createdAt: admin.firestore.Timestamp;
+  expiresAt: admin.firestore.Timestamp;
+};
+
+/** A non-negative number from the environment, or fallback when unset or invalid. */
+function envNumber(name: string, fallback: number): number {
+  const raw = (globalThis as any)?.process?.env?.[name];
+  const value = raw === undefined || raw === '' ? NaN : Number(raw);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/** True when the request has no Origin (server-to-server, e.g. Apps Script) or an allowed one. */
+function originAllowed(origin: string | undefined): boolean {
+  return !origin || CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin);
+}
+
+function setCors(req: Request, res: Response) {
+  const origin = req.get('origin');
+  if (CORS_ORIGINS.includes('*')) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else if (origin && originAllowed(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+  }
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, x-app-secret');
+  res.setHeader('Access-Control-Allow-Headers', [
+    'Content-Type', 'Authorization', 'x-app-secret', 'Idempotency-Key',
+    'x-sheetfire-key-id', 'x-sheetfire-timestamp', 'x-sheetfire-nonce', 'x-sheetfire-signature',
+  ].join(', '));
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After, Idempotent-Replayed');
+}
+
+function utf8Length(text: string): number {
+  return new (globalThis as any).TextEncoder().encode(text).byteLength;
+}
+
+/** An error when a decoded doc exceeds MAX_DOC_BYTES (as JSON) or MAX_DOC_FIELDS, else null. */
+function checkDocLimits(doc: Record<string, unknown>): string | null {
+  const bytes = utf8Length(JSON.stringify(doc));
+  if (bytes > MAX_DOC_BYTES) return `Doc too large: ${bytes} bytes (max ${MAX_DOC_BYTES})`;
+  const fields = leafEntries(doc).length;
+  if (fields > MAX_DOC_FIELDS) return `Doc has too many fields: ${fields} (max ${MAX_DOC_FIELDS})`;
+  return null;
+}
+
+/** Take one token from a bucket as of `now`; retryAfterMs is 0 when a token was available. */
+function takeToken(bucket: Bucket | undefined, limit: RateLimit, now: number): { bucket: Bucket; retryAfterMs: number } {
+  const perMs = limit.perMinute / 60000;
+  const tokens = bucket ? Math.min(limit.burst, bucket.tokens + (now - bucket.at) * perMs) : limit.burst;
+  if (tokens >= 1) return { bucket: { tokens: tokens - 1, at: now }, retryAfterMs: 0 };
+  return { bucket: { tokens, at: now }, retryAfterMs: Math.ceil((1 - tokens) / perMs) };
+}
+
+const memoryBuckets = new Map<string, Bucket>();
+
+/**
+ * Charge one request to the bucket `scope` (e.g. "ip:1.2.3.4"). Returns how long to wait before
+ * the next request is allowed, 0 when this one may go ahead.
+ */
+async function rateLimit(scope: string, limit: RateLimit): Promise<number> {
+  if (RATE_LIMIT_STORE === 'off' || limit.perMinute <= 0) return 0;
+  const now = Date.now();
+
+  if (RATE_LIMIT_STORE === 'memory') {
+    if (memoryBuckets.size >= MAX_MEMORY_BUCKETS) {
+      memoryBuckets.forEach((b, key) => now - b.at > 10 * 60 * 1000 && memoryBuckets.delete(key));
+    }
+    const taken = takeToken(memoryBuckets.get(scope), limit, now);
+    memoryBuckets.set(scope, taken.bucket);
+    return taken.retryAfterMs;
+  }
+
+  const ref = db.collection(RATE_LIMIT_COLLECTION).doc(sha256Hex(scope));
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const taken = takeToken(snap.data() as Bucket | undefined, limit, now);
+    // expiresAt lets a TTL policy clear idle buckets; a missing bucket starts full anyway
+    tx.set(ref, { ...taken.bucket, expiresAt: admin.firestore.Timestamp.fromMillis(now + 60 * 60 * 1000) });
+    return taken.retryAfterMs;
+  });
+}
+
+function sendTooManyRequests(res: Response, retryAfterMs: number, what: string) {
+  const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.setHeader('Retry-After', String(seconds));
+  res.status(429).send(`Too many requests for ${what}; retry in ${seconds}s`);
+}
+
+/** Add server timestamps (and the writing API key's ID, see WRITTEN_BY_FIELD) to a doc before writing. */
+function withTimestamps(doc: Record<string, unknown>, caller: Caller) {
+  const nowServer = admin.firestore.FieldValue.serverTimestamp();
+  return {
+    ...doc,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(), // will not overwrite if merge + field exists (depends on client)
+    updatedAt: nowServer,
+    ...(caller.keyId ? { [WRITTEN_BY_FIELD]: caller.keyId } : {}),
+  };
+}
+
+/** ISO string for a WriteResult's writeTime, when the SDK provides one. */
+function writeTimeIso(writeResult: unknown): string | undefined {
+  const wt = (writeResult as { writeTime?: { toDate: () => Date } } | undefined)?.writeTime;
+  return wt ? wt.toDate().toISOString() : undefined;
+}
+
+/**
+ * RFC 3339 string with full nanosecond precision. Preconditions compare updateTime exactly,
+ * so the millisecond precision of Date would never match.
+ */
+function timestampToRfc3339(ts: admin.firestore.Timestamp): string {
+  const base = new Date(ts.seconds * 1000).toISOString().replace(/\.\d{3}Z$/, '');
+  return `${base}.${String(ts.nanoseconds).padStart(9, '0')}Z`;
+}
+
+/** Inverse of timestampToRfc3339; null when the string is not a UTC RFC 3339 timestamp. */
+function parseRfc3339(value: unknown): admin.firestore.Timestamp | null {
+  if (typeof value !== 'string') return null;
+  const m = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(?:\.(\d{1,9}))?Z$/.exec(value);
+  if (!m) return null;
+  const ms = Date.parse(`${m[1]}Z`);
+  if (isNaN(ms)) return null;
+  return new admin.firestore.Timestamp(ms / 1000, Number((m[2] || '').padEnd(9, '0')));
+}
+
+/** Exact updateTime of the doc after a write (the write time), for the next precondition. */
+function updateTimeOf(writeResult: admin.firestore.WriteResult): string {
+  return timestampToRfc3339(writeResult.writeTime);
+}
+
+/** Firestore document ID rules: no "/", not "." or "..", not __reserved__, at most 1500 bytes. */
+function checkDocId(id: unknown): string | null {
+  if (typeof id !== 'string' || !id) return 'Bad payload: document IDs must be non-empty strings';
+  if (id.includes('/')) return `Bad payload: document ID "${id}" must not contain "/"`;
+  if (id === '.' || id === '..' || /^__.*__$/.test(id)) return `Bad payload: document ID "${id}" is reserved`;
+  if (new (globalThis as any).TextEncoder().encode(id).byteLength > 1500) {
+    return 'Bad payload: document IDs must be at most 1500 bytes';
+  }
+  return null;
+}
+
+/**
+ * Validate a slash-separated Firestore path whose segments alternate collection ID / document ID,
+ * starting with a collection: odd length for kind 'collection', even for 'document'.
+ * Empty segments ("a//b", leading or trailing "/") are rejected, so no path can escape its parent.
+ */
+function checkPath(path: unknown, kind: 'collection' | 'document'): string | null {
+  const label = kind === 'collection' ? 'Bad collection' : 'Bad path';
+  if (typeof path !== 'string' || !path) return `${label}: must be a non-empty string`;
+  const segments = path.split('/');
+  if (segments.length > MAX_PATH_SEGMENTS) return `${label}: nested too deep`;
+  if ((segments.length % 2 === 1) !== (kind === 'collection')) {
+    return kind === 'collection'
+      ? `${label}: "${path}" points to a document, not a collection`
+      : `${label}: "${path}" must be collection/docId[/subcollection/docId…]`;
+  }
+  for (let i = 0; i < segments.length; i++) {
+    if (i % 2 === 0) {
+      if (!COLLECTION_RE.test(segments[i])) return `${label}: collection IDs must be [A-Za-z0-9_-], 1–128 chars`;
+    } else {
+      const err = checkDocId(segments[i]);
+      if (err) return err;
+    }
+  }
+  return null;
+}
+
+/**
+ * Target document of a write or delete: the full document `path` when given, otherwise `docId`
+ * (or a new auto-ID) inside `collection`, which may itself be a subcollection path.
+ */
+function resolveDocRef(
+  collection: unknown,
+  docId: unknown,
+  path: unknown
+): { ref?: admin.firestore.DocumentReference; error?: string } {
+  if (path !== undefined && path !== null && path !== '') {
+    const error = checkPath(path, 'document');
+    return error ? { error } : { ref: db.doc(path as string) };
+  }
+  const error = checkPath(collection, 'collection') || (docId ? checkDocId(docId) : null);
+  if (error) return { error };
+  const colRef = db.collection(collection as string);
+  return { ref: docId ? colRef.doc(docId as string) : colRef.doc() };
+}
+
+/** Validate a single {doc, docId} pair; returns an error message or null. */
+function checkDocShape(doc: unknown, docId: unknown): string | null {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    return 'Bad payload: "doc" must be an object';
+  }
+  if (docId && typeof docId !== 'string') {
+    return 'Bad payload: "docId" must be a string when provided';
+  }
+  return null;
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return !!value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Replace tagged values (see TYPE_TAG) anywhere in a doc with native Firestore types:
+ * Timestamp, GeoPoint and DocumentReference. Returns the decoded copy or an error naming the field.
+ */
+function decodeTypedValues(value: unknown, path = ''): { value?: unknown; error?: string } {
+  const where = path || '(root)';
+  if (Array.isArray(value)) {
+    const out: unknown[] = [];
+    for (let i = 0; i < value.length; i++) {
+      const r = decodeTypedValues(value[i], `${where}[${i}]`);
+      if (r.error) return r;
+      out.push(r.value);
+    }
+    return { value: out };
+  }
+  if (!isPlainObject(value)) return { value };
+
+  const tag = value[TYPE_TAG];
+  if (tag === undefined) {
+    const out: Record<string, unknown> = {};
+    for (const key of Object.keys(value)) {
+      const r = decodeTypedValues(value[key], path ? `${path}.${key}` : key);
+      if (r.error) return r;
+      out[key] = r.value;
+    }
+    return { value: out };
+  }
+
+  const bad = (what: string) => ({ error: `Bad payload: field "${where}" ${what}` });
+  switch (tag) {
+    case 'timestamp': {
+      const d = new Date(String(value.value));
+      if (typeof value.value !== 'string' || isNaN(d.getTime())) return bad('has an invalid timestamp');
+      return { value: admin.firestore.Timestamp.fromDate(d) };
+    }
+    case 'geopoint': {
+      const { latitude, longitude } = value as { latitude?: unknown; longitude?: unknown };
+      if (typeof latitude !== 'number' || typeof longitude !== 'number'
+          || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        return bad('has an invalid geopoint (latitude -90..90, longitude -180..180)');
+      }
+      return { value: new admin.firestore.GeoPoint(latitude, longitude) };
+    }
+    case 'reference': {
+      const refPath = typeof value.path === 'string' ? value.path : '';
+      const segments = refPath.split('/');
+      if (!refPath || segments.length % 2 !== 0 || segments.some((seg) => !seg)) {
+        return bad('has an invalid document reference (expected "collection/docId")');
+      }
+      return { value: db.doc(refPath) };
+    }
+    default:
+      return bad(`has an unknown ${TYPE_TAG} type "${String(tag)}"`);
+  }
+}
+
+/**
+ * Inverse of decodeTypedValues for reads: native Timestamp, GeoPoint and DocumentReference
+ * values become TYPE_TAG objects so they survive JSON and the sheet can tell them apart.
+ */
+function encodeTypedValues(value: unknown): unknown {
+  if (value instanceof admin.firestore.Timestamp) {
+    return { [TYPE_TAG]: 'timestamp', value: value.toDate().toISOString() };
+  }
+  if (value instanceof admin.firestore.GeoPoint) {
+    return { [TYPE_TAG]: 'geopoint', latitude: value.latitude, longitude: value.longitude };
+  }
+  if (value instanceof admin.firestore.DocumentReference) {
+    return { [TYPE_TAG]: 'reference', path: value.path };
+  }
+  if (Array.isArray(value)) return value.map(encodeTypedValues);
+  if (isPlainObject(value)) {
+    const out: Record<string, unknown> = {};
+    for (const key of Object.keys(value)) out[key] = encodeTypedValues(value[key]);
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Walk a (possibly nested) doc and check every value is something Firestore can store:
+ * null, boolean, finite number, string, map, array or a decoded Timestamp/GeoPoint/reference,
+ * with no arrays directly inside arrays,
+ * no empty or reserved (__name__) keys and at most MAX_FIELD_DEPTH levels.
+ * Returns an error message naming the offending field path, or null.
+ */
+function checkFieldValues(value: unknown, path = '', depth = 0): string | null {
+  const where = path || '(root)';
+  if (depth > MAX_FIELD_DEPTH) {
+    return `Bad payload: field "${where}" is nested more than ${MAX_FIELD_DEPTH} levels deep`;
+  }
+  if (value === null || typeof value === 'boolean' || typeof value === 'string') return null;
+  if (value instanceof admin.firestore.Timestamp
+      || value instanceof admin.firestore.GeoPoint
+      || value instanceof admin.firestore.DocumentReference) {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? null : `Bad payload: field "${where}" must be a finite number`;
+  }
+  if (Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) {
+      if (Array.isArray(value[i])) {
+        return `Bad payload: field "${where}[${i}]" is an array inside an array (not supported by Firestore)`;
+      }
+      const err = checkFieldValues(value[i], `${where}[${i}]`, depth + 1);
+      if (err) return err;
+    }
+    return null;
+  }
+  if (isPlainObject(value)) {
+    for (const key of Object.keys(value)) {
+      if (!key || /^__.*__$/.test(key)) {
+        return `Bad payload: field name "${key}" under "${where}" is empty or reserved`;
+      }
+      const err = checkFieldValues(value[key], path ? `${path}.${key}` : key, depth + 1);
+      if (err) return err;
+    }
+    return null;
+  }
+  return `Bad payload: field "${where}" has an unsupported type (${typeof value})`;
+}
+
+/**
+ * Field paths (and values) of every leaf in a doc: scalars, arrays and sentinels are leaves,
+ * maps are walked into. Used as `mergeFields` so a merge write touches only the nested fields
+ * the sheet sent and leaves sibling keys in existing maps alone.
+ */
+function leafEntries(
+  doc: Record<string, unknown>,
+  prefix: string[] = []
+): Array<[admin.firestore.FieldPath, unknown]> {
+  const out: Array<[admin.firestore.FieldPath, unknown]> = [];
+  for (const key of Object.keys(doc)) {
+    const segments = [...prefix, key];
+    const value = doc[key];
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      out.push(...leafEntries(value, segments));
+    } else {
+      out.push([new admin.firestore.FieldPath(...segments), value]);
+    }
+  }
+  return out;
+}
+
+function leafFieldPaths(doc: Record<string, unknown>): admin.firestore.FieldPath[] {
+  return leafEntries(doc).map(([fp]) => fp);
+}
+
+/** Set options for a write: leaf-level merge, or a full overwrite. */
+function setOptionsFor(payload: Record<string, unknown>, merge: boolean): admin.firestore.SetOptions {
+  return merge ? { mergeFields: leafFieldPaths(payload) } : {};
+}
+
+/**
+ * Write only if the doc's updateTime still equals lastUpdateTime. set() takes no precondition,
+ * so this goes through update(): merges update the same leaf paths mergeFields would, and
+ * overwrites replace every top-level field and delete the ones the payload no longer has.
+ * Fails with FAILED_PRECONDITION (changed) or NOT_FOUND (deleted) — see isConflictError.
+ */
+async function writeWithPrecondition(
+  docRef: admin.firestore.DocumentReference,
+  payload: Record<string, unknown>,
+  merge: boolean,
+  lastUpdateTime: admin.firestore.Timestamp
+): Promise<admin.firestore.WriteResult> {
+  const pairs: unknown[] = [];
+  if (merge) {
+    for (const [fp, value] of leafEntries(payload)) pairs.push(fp, value);
+  } else {
+    const snap = await docRef.get();
+    for (const key of Object.keys(snap.data() ?? {})) {
+      if (!(key in payload)) pairs.push(new admin.firestore.FieldPath(key), admin.firestore.FieldValue.delete());
+    }
+    for (const key of Object.keys(payload)) pairs.push(new admin.firestore.FieldPath(key), payload[key]);
+  }
+  const [field, value, ...more] = pairs;
+  return docRef.update(field as admin.firestore.FieldPath, value, ...more, { lastUpdateTime });
+}
+
+function isConflictError(err: unknown): boolean {
+  const code = (err as { code?: unknown } | undefined)?.code;
+  return code === 9 || code === 5 || /FAILED_PRECONDITION|NOT_FOUND/.test((err as Error)?.message || '');
+}
+
+async function readServerVersion(docRef: admin.firestore.DocumentReference): Promise<ServerVersion> {
+  const snap = await docRef.get();
+  if (!snap.exists) return { exists: false };
+  return { exists: true, updateTime: timestampToRfc3339(snap.updateTime!), data: encodeTypedValues(snap.data()) };
+}
+
+function conflictMessage(current: ServerVersion): string {
+  return current.exists
+    ? `Conflict: document changed in Firestore (updateTime ${current.updateTime})`
+    : 'Conflict: document was deleted in Firestore';
+}
+
+/** Checks the optional lastUpdateTime precondition (docId: the existing doc it applies to). */
+function checkPrecondition(lastUpdateTime: unknown, docId: unknown): string | null {
+  if (lastUpdateTime === undefined || lastUpdateTime === null || lastUpdateTime === '') return null;
+  if (!parseRfc3339(lastUpdateTime)) {
+    return 'Bad payload: "lastUpdateTime" must be an RFC 3339 UTC timestamp';
+  }
+  if (!docId) return 'Bad payload: "lastUpdateTime" needs a "docId" or "path"';
+  return null;
+}
+
+/** Validate an incoming {doc, docId} and decode its typed values, ready for withTimestamps. */
+function prepareDoc(doc: unknown, docId: unknown): { doc?: Record<string, unknown>; error?: string } {
+  const shapeError = checkDocShape(doc, docId);
+  if (shapeError) return { error: shapeError };
+
+  const decoded = decodeTypedValues(doc);
+  const valueError = decoded.error || checkFieldValues(decoded.value);
+  if (valueError) return { error: valueError };
+
+  return { doc: decoded.value as Record<string, unknown> };
+}
+
+/** Timing-safe comparison of two strings (false when their lengths differ). */
+function safeEqual(a: string, b: string): boolean {
+  // Encode both to equal-type byte arrays
+  const encoder = new (globalThis as any).TextEncoder();
+  const aBytes = encoder.encode(a);
+  const bBytes = encoder.encode(b);
+  return aBytes.byteLength === bBytes.byteLength && timingSafeEqual(aBytes, bBytes);
+}
+
+/** The caller for an active API key, or an error for an unknown, revoked or expired one. */
+function apiKeyCaller(snap: admin.firestore.DocumentSnapshot): { caller?: Caller; error?: string } {
+  const key = snap.data() as ApiKeyRecord;
+  if (key.revokedAt) return { error: 'Unauthorized: API key revoked' };
+  if (key.expiresAt && key.expiresAt.toMillis() <= Date.now()) return { error: 'Unauthorized: API key expired' };
+  return {
+    caller: {
+      keyId: snap.id,
+      name: key.name,
+      grants: [{ collections: key.collections ?? [], operations: key.operations ?? [] }],
+    },
+  };
+}
+
+/**
+ * Identify the caller: from the x-sheetfire-* signature headers when present (see
+ * SIGNATURE_WINDOW_SECONDS), else from the x-app-secret header, which holds a personal API key
+ * (looked up by ID, its secret checked against the stored hash) or the shared APP_SECRET, else
+ * from a Google bearer token (see GOOGLE_AUTH_AUDIENCES). Returns an error for a missing, unknown,
+ * revoked or expired credential.
+ */
+async function authenticate(req: Request): Promise<{ caller?: Caller; error?: string }> {
+  if (req.get('x-sheetfire-signature')) return authenticateSigned(req);
+  const provided = req.get('x-app-secret') ?? '';
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') ?? '');
+  if (!provided && bearer) return authenticateGoogle(bearer[1]);
+  if (!provided) return { error: 'Unauthorized' };
+  if (REQUIRE_SIGNATURE) return { error: 'Unauthorized: this endpoint only accepts signed requests' };
+
+  const parsed = API_KEY_RE.exec(provided);
+  if (!parsed) {
+    const expected = APP_SECRET.value() ?? '';
+    if (!SHARED_SECRET_ENABLED || !expected || !safeEqual(provided, expected)) return { error: 'Unauthorized' };
+    return { caller: { keyId: null } };
+  }
+
+  const snap = await db.collection(API_KEYS_COLLECTION).doc(parsed[1]).get();
+  if (!snap.exists || !safeEqual(sha256Hex(parsed[2]), (snap.data() as ApiKeyRecord).hash)) {
+    return { error: 'Unauthorized' };
+  }
+  return apiKeyCaller(snap);
+}
+
+/** The key requests made with `secret` are signed with (see SIGNING_KEY_LABEL). */
+function signingKeyFor(secret: string): string {
+  return createHmac('sha256', secret).update(SIGNING_KEY_LABEL, 'utf8').digest('hex');
+}
+
+/** Bytes of base64url text (atob rather than Buffer, to stay clear of @types/node). */
+function base64UrlBytes(text: string): Uint8Array {
+  const binary: string = (globalThis as any).atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+/**
+ * Unseal an API key's stored signing key: "v1.<iv>.<tag>.<ciphertext>" (base64url), AES-256-GCM
+ * under the SHA-256 of SIGNING_PEPPER with the key ID as associated data, as written by
+ * scripts/api-keys.js. Null when it is missing, the pepper isn't set, or it doesn't open.
+ */
+function openSigningKey(keyId: string, sealed: string | undefined): string | null {
+  const pepper = SIGNING_PEPPER.value() ?? '';
+  const parts = String(sealed ?? '').split('.');
+  if (!pepper || parts.length !== 4 || parts[0] !== 'v1') return null;
+  try {
+    const [, iv, tag, ciphertext] = parts;
+    const decipher = createDecipheriv('aes-256-gcm', createHash('sha256').update(pepper).digest(), base64UrlBytes(iv));
+    decipher.setAAD(new (globalThis as any).TextEncoder().encode(keyId));
+    decipher.setAuthTag(base64UrlBytes(tag));
+    return decipher.update(ciphertext, 'base64url', 'utf8') + decipher.final('utf8');
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Check a signed request: header shapes, the timestamp window, the HMAC over the raw body, then
+ * claim its nonce so the same request can't be replayed. The nonce is only stored once the
+ * signature checks out, so unsigned garbage can't fill the nonce collection.
+ */
+async function authenticateSigned(req: Request): Promise<{ caller?: Caller; error?: string }> {
+  const keyId = req.get('x-sheetfire-key-id') ?? '';
+  const timestamp = req.get('x-sheetfire-timestamp') ?? '';
+  const nonce = req.get('x-sheetfire-nonce') ?? '';
+  const signature = SIGNATURE_RE.exec(req.get('x-sheetfire-signature') ?? '');
+  if (!keyId || !signature || !/^\d{1,12}$/.test(timestamp) || !NONCE_RE.test(nonce)) {
+    return { error: 'Unauthorized: malformed signature headers' };
+  }
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > SIGNATURE_WINDOW_SECONDS) {
+    return { error: `Unauthorized: request timestamp is more than ${SIGNATURE_WINDOW_SECONDS}s off the server clock` };
+  }
+
+  let signingKey: string | null = null;
+  let result: { caller?: Caller; error?: string } = { error: 'Unauthorized' };
+  if (keyId === SHARED_SECRET_KEY_ID) {
+    const secret = APP_SECRET.value() ?? '';
+    if (SHARED_SECRET_ENABLED && secret) {
+      signingKey = signingKeyFor(secret);
+      result = { caller: { keyId: null } };
+    }
+  } else if (/^[A-Za-z0-9]{8,32}$/.test(keyId)) {
+    const snap = await db.collection(API_KEYS_COLLECTION).doc(keyId).get();
+    if (snap.exists) {
+      signingKey = openSigningKey(keyId, (snap.data() as ApiKeyRecord).signingKey);
+      if (!signingKey) return { error: 'Unauthorized: this API key cannot sign requests (issue a new one)' };
+      result = apiKeyCaller(snap);
+    }
+  }
+  if (!signingKey) return { error: 'Unauthorized' };
+
+  const rawBody = (req as any).rawBody;
+  const body = rawBody ? rawBody.toString('utf8') : JSON.stringify(req.body ?? {});
+  const expected = createHmac('sha256', signingKey)
+    .update(`${timestamp}\n${nonce}\n${req.method}\n${req.path}\n${body}`, 'utf8')
+    .digest('hex');
+  if (!safeEqual(signature[1], expected)) return { error: 'Unauthorized: bad signature' };
+  if (!result.caller) return result;
+
+  try {
+    await db.collection(NONCES_COLLECTION).doc(sha256Hex(`${keyId}\n${nonce}`)).create({
+      expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + 2 * SIGNATURE_WINDOW_SECONDS * 1000),
+    });
+  } catch (err) {
+    // 6 = ALREADY_EXISTS: the nonce was used before
+    const code = (err as { code?: unknown } | undefined)?.code;
+    if (code === 6 || /ALREADY_EXISTS/.test((err as Error)?.message || '')) {
+      return { error: 'Unauthorized: nonce already used' };
+    }
+    throw err;
+  }
+  return result;
+}
+
+let googleAuth: OAuth2Client | null = null;
+let identityRules: { rules: IdentityRule[]; loadedAt: number } | null = null;
+
+/** The rules of IDENTITY_CONFIG_DOC, re-read every IDENTITY_CACHE_MS; entries missing a list are dropped. */
+async function loadIdentityRules(): Promise<IdentityRule[]> {
+  if (!identityRules || Date.now() - identityRules.loadedAt > IDENTITY_CACHE_MS) {
+    const snap = await db.doc(IDENTITY_CONFIG_DOC).get();
+    const raw = snap.get('rules');
+    const rules = (Array.isArray(raw) ? raw : []).filter((r: any) =>
+      r && Array.isArray(r.principals) && Array.isArray(r.collections) && Array.isArray(r.operations));
+    identityRules = { rules, loadedAt: Date.now() };
+  }
+  return identityRules.rules;
+}
+
+function principalMatches(principal: string, email: string): boolean {
+  const p = String(principal).trim().toLowerCase();
+  return p.startsWith('@') ? email.endsWith(p) : p === email;
+}
+
+/**
+ * Verify a Google ID token (a JWT, checked offline against Google's certs) or OAuth access token
+ * (checked with Google's tokeninfo endpoint), both issued to one of GOOGLE_AUTH_AUDIENCES for a
+ * verified email. The account's grants are those of every matching IdentityRule; an account no
+ * rule matches is still identified (so it can be told who it is) but may do nothing.
+ */
+async function authenticateGoogle(token: string): Promise<{ caller?: Caller; error?: string }> {
+  if (!GOOGLE_AUTH_AUDIENCES.length) return { error: 'Unauthorized: Google identity is not enabled on this endpoint' };
+  googleAuth = googleAuth ?? new OAuth2Client();
+
+  let email: string | undefined;
+  let verified = false;
+  try {
+    if (token.split('.').length === 3) {
+      const payload = (await googleAuth.verifyIdToken({ idToken: token, audience: GOOGLE_AUTH_AUDIENCES })).getPayload();
+      email = payload?.email;
+      verified = payload?.email_verified === true;
+    } else {
+      const info = await googleAuth.getTokenInfo(token);
+      if (!GOOGLE_AUTH_AUDIENCES.includes(info.aud) && !(info.azp && GOOGLE_AUTH_AUDIENCES.includes(info.azp))) {
+        return { error: 'Unauthorized: Google token was issued to another client' };
+      }
+      email = info.email;
+      // tokeninfo sends the flag as a string
+      verified = String(info.email_verified) === 'true';
+    }
+  } catch (err) {
+    logger.warn('Google token rejected', { error: (err as Error)?.message });
+    return { error: 'Unauthorized: invalid or expired Google token' };
+  }
+  if (!email || !verified) return { error: 'Unauthorized: Google token has no verified email (add the email scope)' };
+
+  email = email.toLowerCase();
+  const rules = await loadIdentityRules();
+  const grants = rules
+    .filter((rule) => rule.principals.some((p) => principalMatches(p, email!)))
+    .map(({ collections, operations }) => ({ collections, operations }));
+  return { caller: { keyId: GOOGLE_KEY_PREFIX + email, name: email, email, grants } };
+}
+
+function keyLabel(caller: Caller): string {
+  return caller.email ? `Google account ${caller.email}` : `API key "${caller.name || caller.keyId}"`;
+}
+
+/** Who made a request, as recorded in audit entries and echoed to dry runs. */
+function callerIdentity(caller: Caller): string {
+  return caller.keyId ? caller.name || caller.keyId : 'APP_SECRET';
+}
+
+/** An error when none of the caller's grants allows `op` at all, else null. */
+function operationDenied(caller: Caller, op: Operation): string | null {
+  if (!caller.keyId || caller.grants!.some((g) => g.operations.includes(op))) return null;
+  return `Forbidden: ${keyLabel(caller)} may not ${op}`;
+}
+
+/** An error when none of the caller's grants allows `op` on the collection at collectionPath, else null. */
+function collectionDenied(caller: Caller, op: Operation, collectionPath: string): string | null {
+  const segments = collectionPath.split('/');
+  const reserved = segments.some((seg, i) => i % 2 === 0 && seg.startsWith(RESERVED_COLLECTION_PREFIX));
+  // The shared secret may do anything except reach SheetFire's own collections (keys, audit, …)
+  if (!caller.keyId) return reserved ? `Forbidden: "${collectionPath}" is reserved for SheetFire` : null;
+  const allowed = caller.grants!.some((grant) => grant.operations.includes(op) && grant.collections.some((pattern) => {
+    if (pattern === '*') return !reserved;
+    const parts = pattern.split('/');
+    return parts.length === segments.length && parts.every((part, i) => part === '*' || part === segments[i]);
+  }));
+  // The key store itself is never reachable with a key or Google account
+  if (allowed && segments[segments.length - 1] !== API_KEYS_COLLECTION) return null;
+  return `Forbidden: ${keyLabel(caller)} may not ${op} in "${collectionPath}"`;
+}
+
+let fileSchemas: Record<string, JsonSchema> | null = null;
+let configSchemas: { schemas: Record<string, JsonSchema>; loadedAt: number } | null = null;
+
+/** Schemas deployed as SCHEMA_DIR/<collection>.json, read once per instance. */
+function loadFileSchemas(): Record<string, JsonSchema> {
+  if (fileSchemas) return fileSchemas;
+  const schemas: Record<string, JsonSchema> = {};
+  const files: string[] = fs.existsSync(SCHEMA_DIR) ? fs.readdirSync(SCHEMA_DIR) : [];
+  for (const file of files.filter((f) => f.endsWith('.json'))) {
+    try {
+      schemas[file.slice(0, -'.json'.length)] = JSON.parse(fs.readFileSync(`${SCHEMA_DIR}/${file}`, 'utf8'));
+    } catch (err) {
+      throw new Error(`Bad schema file schemas/${file}: ${(err as Error).message}`);
+    }
+  }
+  fileSchemas = schemas;
+  return schemas;
+}
+
+/** File schemas overlaid with those in SCHEMA_CONFIG_DOC (cached for SCHEMA_CACHE_MS). */
+async function loadSchemas(): Promise<Record<string, JsonSchema>> {
+  if (!configSchemas || Date.now() - configSchemas.loadedAt > SCHEMA_CACHE_MS) {
+    const snap = await db.doc(SCHEMA_CONFIG_DOC).get();
+    const schemas: Record<string, JsonSchema> = {};
+    for (const [collection, schema] of Object.entries(snap.data() ?? {})) {
+      try {
+        schemas[collection] = typeof schema === 'string' ? JSON.parse(schema) : (schema as JsonSchema);
+      } catch (err) {
+        throw new Error(`Bad schema for "${collection}" in ${SCHEMA_CONFIG_DOC}: ${(err as Error).message}`);
+      }
+    }
+    configSchemas = { schemas, loadedAt: Date.now() };
+  }
+  return { ...loadFileSchemas(), ...configSchemas.schemas };
+}
+
+/** The "type" name a decoded value has in a schema. */
+function schemaTypeOf(value: unknown): string {
+  if (value === null) return 'null';
+  if (value instanceof admin.firestore.Timestamp) return 'timestamp';
+  if (value instanceof admin.firestore.GeoPoint) return 'geopoint';
+  if (value instanceof admin.firestore.DocumentReference) return 'reference';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesSchemaType(value: unknown, type: string): boolean {
+  if (type === 'integer') return Number.isInteger(value);
+  return schemaTypeOf(value) === type;
+}
+
+/** Check a decoded value against a schema, appending one FieldError per failed keyword. */
+function validateSchema(value: unknown, schema: JsonSchema, field: string, errors: FieldError[]) {
+  const fail = (message: string) => errors.push({ field: field || '(root)', message });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesSchemaType(value, t))) {
+      fail(`must be ${types.join(' or ')}, got ${schemaTypeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some((v) => JSON.stringify(v) === JSON.stringify(value))) {
+    fail(`must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (typeof value === 'string') {
+    const length = Array.from(value).length;
+    if (schema.minLength !== undefined && length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) fail(`must match ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => validateSchema(item, schema.items!, `${field}[${i}]`, errors));
+  }
+
+  if (isPlainObject(value)) {
+    const child = (key: string) => (field ? `${field}.${key}` : key);
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) errors.push({ field: child(key), message: 'is required' });
+    }
+    const properties = schema.properties ?? {};
+    for (const [key, v] of Object.entries(value)) {
+      if (properties[key]) {
+        validateSchema(v, properties[key], child(key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: child(key), message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateSchema(v, schema.additionalProperties, child(key), errors);
+      }
+    }
+  }
+}
+
+/**
+ * Field-level errors for a decoded doc written to docRef, or null when it matches its
+ * collection's schema (or the collection has none).
+ */
+function schemaErrors(
+  schemas: Record<string, JsonSchema>,
+  docRef: admin.firestore.DocumentReference,
+  doc: Record<string, unknown>
+): FieldError[] | null {
+  const schema = schemas[docRef.parent.id];
+  if (!schema) return null;
+  const errors: FieldError[] = [];
+  validateSchema(doc, schema, '', errors);
+  return errors.length ? errors : null;
+}
+
+function schemaMessage(docRef: admin.firestore.DocumentReference, errors: FieldError[]): string {
+  return `Doc does not match the "${docRef.parent.id}" schema: ` +
+    errors.map((e) => `${e.field} ${e.message}`).join('; ');
+}
+
+/** The valid parts of a request's source (plus an item's own row) for its audit entries. */
+function writeSource(source: unknown, row?: unknown): WriteSource {
+  const s = isPlainObject(source) ? source : {};
+  const text = (v: unknown) => (typeof v === 'string' && v && v.length <= 256 ? v : undefined);
+  const r = row ?? s.row;
+  return {
+    spreadsheetId: text(s.spreadsheetId),
+    sheet: text(s.sheet),
+    row: Number.isInteger(r) && (r as number) > 0 ? (r as number) : undefined,
+  };
+}
+
+/** Deep equality for decoded field values (Timestamps, GeoPoints and references compare by value). */
+function sameValue(a: unknown, b: unknown): boolean {
+  if (a === b) return true;
+  if (a && b && typeof (a as any).isEqual === 'function') {
+    return Object.getPrototypeOf(a) === Object.getPrototypeOf(b) && (a as any).isEqual(b);
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((v, i) => sameValue(v, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((k) => k in b && sameValue(a[k], b[k]));
+  }
+  return false;
+}
+
+/**
+ * Leaf-level changes from `before` (the stored doc, if any) to the written fields `after`.
+ * A merge leaves unmentioned fields alone; an overwrite (or a delete, after null) removes them.
+ */
+function fieldDiff(
+  before: Record<string, unknown> | undefined,
+  after: Record<string, unknown> | null,
+  merge: boolean
+): FieldChange[] {
+  const leaves = (doc: Record<string, unknown>) => leafEntries(doc)
+    .map(([fp, value]) => [fp.toString(), value] as [string, unknown])
+    .filter(([field]) => !SERVER_FIELDS.includes(field));
+  const previous = new Map(leaves(before ?? {}));
+  const changes: FieldChange[] = [];
+  const written = new Set<string>();
+  for (const [field, value] of leaves(after ?? {})) {
+    written.add(field);
+    if (!previous.has(field)) changes.push({ field, after: value });
+    else if (!sameValue(previous.get(field), value)) changes.push({ field, before: previous.get(field), after: value });
+  }
+  if (!merge || !after) {
+    previous.forEach((value, field) => {
+      if (!written.has(field)) changes.push({ field, before: value });
+    });
+  }
+  return changes;
+}
+
+/** Audit entry for writing `after` (or deleting, after null) to docRef; see AUDIT_COLLECTION. */
+function auditEntry(
+  caller: Caller,
+  docRef: admin.firestore.DocumentReference,
+  source: WriteSource,
+  before: admin.firestore.DocumentSnapshot | undefined,
+  after: Record<string, unknown> | null,
+  merge: boolean,
+  updateTime?: string
+): Record<string, unknown> {
+  const entry: Record<string, unknown> = {
+    op: after ? 'write' : 'delete',
+    path: docRef.path,
+    collection: docRef.parent.path,
+    docId: docRef.id,
+    keyId: caller.keyId,
+    identity: callerIdentity(caller),
+    ...source,
+    merge: after ? merge : undefined,
+    created: after ? !before?.exists : undefined,
+    changes: fieldDiff(before?.data(), after, merge),
+    updateTime,
+    at: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  Object.keys(entry).forEach((k) => entry[k] === undefined && delete entry[k]);
+  return entry;
+}
+
+/** The docs' current versions, for diffing; empty when auditing is off. */
+async function readForAudit(refs: admin.firestore.DocumentReference[]): Promise<admin.firestore.DocumentSnapshot[]> {
+  return AUDIT_COLLECTION && refs.length ? db.getAll(...refs) : [];
+}
+
+/** Store audit entries. A failure is logged, not returned: the writes themselves went through. */
+async function writeAudit(entries: Record<string, unknown>[]) {
+  if (!AUDIT_COLLECTION || !entries.length) return;
+  try {
+    const batch = db.batch();
+    for (const entry of entries) {
+      const id = `${String(AUDIT_ID_MAX - Date.now()).padStart(13, '0')}-${randomBytes(4).toString('hex')}`;
+      batch.set(db.collection(AUDIT_COLLECTION).doc(id), entry);
+    }
+    await batch.commit();
+  } catch (err) {
+    logger.error(err);
+  }
+}
+
+/** POST /: write (or dry-run) a single document. */
+async function handleWrite(req: Request, res: Response, caller: Caller) {
+  // Body parsing & validation
+  const body = (req.body ?? {}) as IncomingBody;
+
+  const { collection, path, doc, docId, merge = true, dryRun = false, lastUpdateTime } = body;
+
+  const target = resolveDocRef(collection, docId, path);
+  if (target.error) {
+    res.status(400).send(target.error);
+    return;
+  }
+
+  const prepared = prepareDoc(doc, docId);
+  const preconditionError = prepared.error ? null : checkPrecondition(lastUpdateTime, docId || path);
+  if (prepared.error || preconditionError) {
+    res.status(400).send(prepared.error || preconditionError);
+    return;
+  }
+
+  const limitError = checkDocLimits(prepared.doc!);
+  if (limitError) {
+    res.status(413).send(limitError);
+    return;
+  }
+  const precondition = parseRfc3339(lastUpdateTime);
+
+  // Prepare write
+  const docRef = target.ref!;
+
+  const denied = collectionDenied(caller, 'write', docRef.parent.path);
+  if (denied) {
+    res.status(403).send(denied);
+    return;
+  }
+
+  // Also for dry runs, so a preview shows what the schema would reject
+  const errors = schemaErrors(await loadSchemas(), docRef, prepared.doc!);
+  if (errors) {
+    res.status(422).json({
+      ok: false,
+      dryRun: dryRun || undefined,
+      id: docRef.id,
+      path: docRef.path,
+      error: schemaMessage(docRef, errors),
+      errors,
+      identity: dryRun ? callerIdentity(caller) : undefined,
+    });
+    return;
+  }
+
+  const payload = withTimestamps(prepared.doc!, caller);
+
+  if (dryRun) {
+    // No write, just echo what would happen
+    res.status(200).json({
+      ok: true,
+      dryRun: true,
+      wouldWriteTo: docRef.path,
+      merge,
+      mergeFields: merge ? leafFieldPaths(payload).map((fp) => fp.toString()) : undefined,
+      lastUpdateTime: precondition ? lastUpdateTime : undefined,
+      payload,
+      identity: callerIdentity(caller),
+    });
+    return;
+  }
+
+  const [before] = await readForAudit([docRef]);
+  let writeResult: admin.firestore.WriteResult;
+  try {
+    writeResult = precondition
+      ? await writeWithPrecondition(docRef, payload, merge, precondition)
+      : await docRef.set(payload, setOptionsFor(payload, merge));
+  } catch (err) {
+    if (!precondition || !isConflictError(err)) throw err;
+    // Someone changed (or deleted) the doc since the sheet last saw it; hand back their version
+    const current = await readServerVersion(docRef);
+    res.status(409).json({
+      ok: false,
+      conflict: true,
+      id: docRef.id,
+      path: docRef.path,
+      error: conflictMessage(current),
+      current,
+    });
+    return;
+  }
+
+  await writeAudit([
+    auditEntry(caller, docRef, writeSource(body.source), before, prepared.doc!, merge, updateTimeOf(writeResult)),
+  ]);
+
+  // writeResult.writeTime exists on Admin SDK set()
+  // but we’ll also fetch the write time from the returned object when available
+  res.status(200).json({
+    ok: true,
+    id: docRef.id,
+    path: docRef.path,
+    merge,
+    writeTime: writeTimeIso(writeResult),
+    updateTime: updateTimeOf(writeResult),
+  });
+}
+
+/** Items without their own path need a valid collection; a given collection must be valid too. */
+function checkBatchCollection(collection: unknown, items: Array<{ path?: string } | undefined>): string | null {
+  if (collection === undefined && items.every((item) => item?.path)) return null;
+  return checkPath(collection, 'collection');
+}
+
+/**
+ * POST /batch: write many documents to one collection via BulkWriter.
+ * Items are validated and committed independently; the response carries one
+ * result per item (in request order) so callers can map failures back to rows.
+ */
+async function handleBatch(req: Request, res: Response, caller: Caller) {
+  const body = (req.body ?? {}) as BatchBody;
+  const { collection, items, merge = true, dryRun = false } = body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    res.status(400).send('Bad payload: "items" must be a non-empty array');
+    return;
+  }
+
+  if (items.length > MAX_BATCH_ITEMS) {
+    res.status(413).send(`Too many items: max ${MAX_BATCH_ITEMS} per batch`);
+    return;
+  }
+
+  const collectionError = checkBatchCollection(collection, items);
+  if (collectionError) {
+    res.status(400).send(collectionError);
+    return;
+  }
+
+  const schemas = await loadSchemas();
+  const results: BatchItemResult[] = new Array(items.length);
+  const valid: Array<{ index: number; docRef: admin.firestore.DocumentReference; doc: Record<string, unknown> }> = [];
+
+  items.forEach((item, index) => {
+    const { doc, docId, path: itemPath, lastUpdateTime } = item ?? {};
+    const target = resolveDocRef(collection, docId, itemPath);
+    const prepared = prepareDoc(doc, docId);
+    const error = target.error || prepared.error || checkPrecondition(lastUpdateTime, docId || itemPath);
+    if (error) {
+      results[index] = { index, ok: false, error };
+      return;
+    }
+    const limitError = checkDocLimits(prepared.doc!);
+    if (limitError) {
+      results[index] = { index, ok: false, error: limitError, tooLarge: true };
+      return;
+    }
+
+    const docRef = target.ref!;
+    const path = docRef.path;
+
+    const denied = collectionDenied(caller, 'write', docRef.parent.path);
+    if (denied) {
+      results[index] = { index, ok: false, id: docRef.id, path, error: denied };
+      return;
+    }
+
+    const errors = schemaErrors(schemas, docRef, prepared.doc!);
+    if (errors) {
+      results[index] = { index, ok: false, id: docRef.id, path, error: schemaMessage(docRef, errors), errors };
+      return;
+    }
+
+    if (dryRun) {
+      results[index] = { index, ok: true, id: docRef.id, path };
+      return;
+    }
+    valid.push({ index, docRef, doc: prepared.doc! });
+  });
+
+  // Read every doc's current version before the first write goes out
+  const before = await readForAudit(valid.map((v) => v.docRef));
+  const audit: Record<string, unknown>[] = [];
+  const writer = db.bulkWriter();
+  const pending = valid.map(({ index, docRef, doc }, k) => {
+    const path = docRef.path;
+    const { lastUpdateTime, row } = items[index];
+    const payload = withTimestamps(doc, caller);
+    const precondition = parseRfc3339(lastUpdateTime);
+    // Preconditioned writes bypass the BulkWriter: overwrites need a read first (see writeWithPrecondition)
+    const write = precondition
+      ? writeWithPrecondition(docRef, payload, merge, precondition)
+      : writer.set(docRef, payload, setOptionsFor(payload, merge));
+    return write.then(
+      (writeResult) => {
+        const updateTime = updateTimeOf(writeResult);
+        results[index] = {
+          index,
+          ok: true,
+          id: docRef.id,
+          path,
+          writeTime: writeTimeIso(writeResult),
+          updateTime,
+        };
+        if (AUDIT_COLLECTION) {
+          audit.push(auditEntry(caller, docRef, writeSource(body.source, row), before[k], doc, merge, updateTime));
+        }
+      },
+      async (err: Error) => {
+        if (precondition && isConflictError(err)) {
+          const current = await readServerVersion(docRef);
+          results[index] = { index, ok: false, id: docRef.id, path, conflict: true, error: conflictMessage(current), current };
+          return;
+        }
+        logger.error(err);
+        results[index] = { index, ok: false, id: docRef.id, path, error: err?.message || 'Unknown error' };
+      }
+    );
+  });
+
+  await writer.close();
+  await Promise.all(pending);
+  await writeAudit(audit);
+
+  const failed = results.filter((r) => !r.ok).length;
+  res.status(200).json({
+    ok: failed === 0,
+    dryRun: dryRun || undefined,
+    merge,
+    written: dryRun ? 0 : results.length - failed,
+    failed,
+    invalid: results.filter((r) => r.errors).length,
+    conflicts: results.filter((r) => r.conflict).length,
+    results,
+  });
+}
+
+/**
+ * POST /list: read one page of a collection, ordered by document ID.
+ * Returns { docs: [{ id, path, createTime, updateTime, data }], nextPageToken }; pass
+ * nextPageToken back as pageToken for the following page (absent on the last page).
+ * With "ids" (or full document "paths") it returns exactly those docs instead (missing ones are
+ * left out); with "idsOnly" every doc's data is {} (used to find docs that have no row in the sheet).
+ * The collection may be a subcollection path such as "customers/c1/orders".
+ * Times are RFC 3339 with nanoseconds, so updateTime can be sent back as lastUpdateTime.
+ */
+async function handleList(req: Request, res: Response, caller: Caller) {
+  const body = (req.body ?? {}) as ListBody;
+  const { collection, pageToken, where = [], ids, paths, idsOnly = false } = body;
+
+  if (paths !== undefined) {
+    if (!Array.isArray(paths) || paths.length > MAX_LIST_IDS) {
+      res.status(400).send(`Bad payload: "paths" must be an array of at most ${MAX_LIST_IDS} document paths`);
+      return;
+    }
+    const pathError = paths.map((p) => checkPath(p, 'document')).find(Boolean);
+    if (pathError) {
+      res.status(400).send(pathError);
+      return;
+    }
+    const denied = paths.map((p) => collectionDenied(caller, 'read', db.doc(p).parent.path)).find(Boolean);
+    if (denied) {
+      res.status(403).send(denied);
+      return;
+    }
+    const snaps = paths.length ? await db.getAll(...paths.map((p) => db.doc(p))) : [];
+    const docs = snaps.filter((d) => d.exists).map(toListedDoc);
+    res.status(200).json({ ok: true, count: docs.length, docs });
+    return;
+  }
+
+  const collectionError = checkPath(collection, 'collection');
+  if (collectionError) {
+    res.status(400).send(collectionError);
+    return;
+  }
+
+  const denied = collectionDenied(caller, 'read', collection!);
+  if (denied) {
+    res.status(403).send(denied);
+    return;
+  }
+
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length > MAX_LIST_IDS || ids.some((id) => checkDocId(id))) {
+      res.status(400).send(`Bad payload: "ids" must be an array of at most ${MAX_LIST_IDS} doc IDs`);
+      return;
+    }
+    const colRef = db.collection(collection!);
+    const snaps = ids.length ? await db.getAll(...ids.map((id) => colRef.doc(id))) : [];
+    const docs = snaps.filter((d) => d.exists).map(toListedDoc);
+    res.status(200).json({ ok: true, collection, count: docs.length, docs });
+    return;
+  }
+
+  if (pageToken !== undefined && (typeof pageToken !== 'string' || !pageToken)) {
+    res.status(400).send('Bad payload: "pageToken" must be a non-empty string when provided');
+    return;
+  }
+
+  const pageSize = Math.min(Math.max(Math.floor(Number(body.pageSize) || DEFAULT_LIST_PAGE), 1), MAX_LIST_PAGE);
+
+  if (!Array.isArray(where)) {
+    res.status(400).send('Bad payload: "where" must be an array of {field, op, value}');
+    return;
+  }
+
+  let query: admin.firestore.Query = db.collection(collection!);
+  for (const f of where) {
+    if (!f || typeof f.field !== 'string' || !f.field) {
+      res.status(400).send('Bad payload: every "where" filter needs a field');
+      return;
+    }
+    if (!f.op || !LIST_OPS.includes(f.op)) {
+      res.status(400).send(`Bad payload: filter op must be one of ${LIST_OPS.join(', ')}`);
+      return;
+    }
+    const decoded = decodeTypedValues(f.value, f.field);
+    if (decoded.error) {
+      res.status(400).send(decoded.error);
+      return;
+    }
+    query = query.where(f.field, f.op as admin.firestore.WhereFilterOp, decoded.value);
+  }
+
+  query = query.orderBy(admin.firestore.FieldPath.documentId()).limit(pageSize);
+  if (idsOnly) query = query.select();
+  if (pageToken) query = query.startAfter(pageToken);
+
+  const snap = await query.get();
+  const docs = snap.docs.map(toListedDoc);
+
+  res.status(200).json({
+    ok: true,
+    collection,
+    count: docs.length,
+    docs,
+    nextPageToken: snap.size === pageSize ? snap.docs[snap.size - 1].id : undefined,
+  });
+}
+
+/**
+ * POST /delete: delete docs by ID ({ items: [{ docId, lastUpdateTime? }] }). An item with
+ * lastUpdateTime is only deleted if the doc is unchanged since; otherwise it comes back as a
+ * conflict with the server version, like /batch. dryRun reports which docs exist instead.
+ */
+async function handleDelete(req: Request, res: Response, caller: Caller) {
+  const body = (req.body ?? {}) as DeleteBody;
+  const { collection, items, dryRun = false } = body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    res.status(400).send('Bad payload: "items" must be a non-empty array');
+    return;
+  }
+
+  if (items.length > MAX_BATCH_ITEMS) {
+    res.status(413).send(`Too many items: max ${MAX_BATCH_ITEMS} per batch`);
+    return;
+  }
+
+  const collectionError = checkBatchCollection(collection, items);
+  if (collectionError) {
+    res.status(400).send(collectionError);
+    return;
+  }
+
+  const results: BatchItemResult[] = new Array(items.length);
+  const valid: Array<{ index: number; docRef: admin.firestore.DocumentReference; precondition: admin.firestore.Timestamp | null }> = [];
+
+  items.forEach((item, index) => {
+    const { docId, path, lastUpdateTime } = item ?? {};
+    // Unlike writes there is no auto-ID: every item names an existing doc
+    const target = !docId && !path
+      ? { error: 'Bad payload: every item needs a "docId" or "path"' }
+      : resolveDocRef(collection, docId, path);
+    const error = target.error || checkPrecondition(lastUpdateTime, docId || path)
+      || collectionDenied(caller, 'delete', target.ref!.parent.path);
+    if (error) {
+      results[index] = { index, ok: false, error };
+      return;
+    }
+    valid.push({ index, docRef: target.ref!, precondition: parseRfc3339(lastUpdateTime) });
+  });
+
+  // Dry runs report existence from these; real deletes diff against them for the audit log
+  const snaps = dryRun
+    ? (valid.length ? await db.getAll(...valid.map((v) => v.docRef)) : [])
+    : await readForAudit(valid.map((v) => v.docRef));
+
+  if (dryRun) {
+    snaps.forEach((snap, k) => {
+      const { index, docRef } = valid[k];
+      results[index] = { index, ok: true, id: docRef.id, path: docRef.path, exists: snap.exists };
+    });
+    const failed = results.filter((r) => !r.ok).length;
+    res.status(200).json({
+      ok: failed === 0,
+      dryRun: true,
+      wouldDelete: results.filter((r) => r.exists).length,
+      failed,
+      results,
+    });
+    return;
+  }
+
+  const audit: Record<string, unknown>[] = [];
+  const writer = db.bulkWriter();
+  const pending = valid.map(({ index, docRef, precondition }, k) => {
+    const path = docRef.path;
+    const write = precondition ? writer.delete(docRef, { lastUpdateTime: precondition }) : writer.delete(docRef);
+    return write.then(
+      () => {
+        results[index] = { index, ok: true, id: docRef.id, path };
+        // Deleting a doc that wasn't there changes nothing worth auditing
+        if (snaps[k]?.exists) audit.push(auditEntry(caller, docRef, writeSource(body.source, items[index].row), snaps[k], null, false));
+      },
+      async (err: Error) => {
+        if (precondition && isConflictError(err)) {
+          const current = await readServerVersion(docRef);
+          // Already gone is what the caller wanted; only a newer version is a conflict
+          results[index] = current.exists
+            ? { index, ok: false, id: docRef.id, path, conflict: true, error: conflictMessage(current), current }
+            : { index, ok: true, id: docRef.id, path };
+          return;
+        }
+        logger.error(err);
+        results[index] = { index, ok: false, id: docRef.id, path, error: err?.message || 'Unknown error' };
+      }
+    );
+  });
+
+  await writer.close();
+  await Promise.all(pending);
+  await writeAudit(audit);
+
+  const failed = results.filter((r) => !r.ok).length;
+  // Deleted docs have nowhere to carry the key ID; without the audit log it goes to the function log
+  if (caller.keyId && !AUDIT_COLLECTION) logger.info('Deleted docs', { keyId: caller.keyId, deleted: results.length - failed });
+  res.status(200).json({
+    ok: failed === 0,
+    deleted: results.length - failed,
+    failed,
+    conflicts: results.filter((r) => r.conflict).length,
+    results,
+  });
+}
+
+/**
+ * POST /history: the audit entries for one document ({ path }), newest first, as
+ * { entries: [{ id, op, at, identity, keyId, spreadsheetId, sheet, row, changes }] }. Field values
+ * in changes are typed-value encoded like /list data. Needs read access to the doc's collection.
+ */
+async function handleHistory(req: Request, res: Response, caller: Caller) {
+  const { path, limit } = (req.body ?? {}) as HistoryBody;
+  const pathError = checkPath(path, 'document');
+  if (pathError) {
+    res.status(400).send(pathError);
+    return;
+  }
+  const denied = collectionDenied(caller, 'read', db.doc(path!).parent.path);
+  if (denied) {
+    res.status(403).send(denied);
+    return;
+  }
+  if (!AUDIT_COLLECTION) {
+    res.status(404).send('The audit log is turned off (AUDIT_COLLECTION=off)');
+    return;
+  }
+
+  const pageSize = Math.min(Math.max(Math.floor(Number(limit) || DEFAULT_HISTORY_LIMIT), 1), MAX_HISTORY_LIMIT);
+  // Entry IDs sort newest first (see AUDIT_COLLECTION), so this needs no composite index
+  const snap = await db.collection(AUDIT_COLLECTION)
+    .where('path', '==', path)
+    .orderBy(admin.firestore.FieldPath.documentId())
+    .limit(pageSize)
+    .get();
+  const entries = snap.docs.map((d) => {
+    const { at, ...rest } = d.data();
+    return {
+      id: d.id,
+      ...(encodeTypedValues(rest) as Record<string, unknown>),
+      at: at instanceof admin.firestore.Timestamp ? timestampToRfc3339(at) : undefined,
+    };
+  });
+  res.status(200).json({ ok: true, path, count: entries.length, entries });
+}
+
+function sha256Hex(text: string): string {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+/** Remember the status and body the handler sends, for storing under an Idempotency-Key. */
+function recordResponse(res: Response): { status?: number; body?: string } {
+  const recorded: { status?: number; body?: string } = {};
+  const send = res.send.bind(res);
+  // res.json() ends in res.send() with the serialized body, so this sees both
+  (res as any).send = (body?: unknown) => {
+    if (recorded.status === undefined) {
+      recorded.status = res.statusCode;
+      recorded.body = body === undefined ? '' : String(body);
+    }
+    return send(body);
+  };
+  return recorded;
+}
+
+/**
+ * Run a write handler at most once per Idempotency-Key. The first request with a key reserves it
+ * (state 'pending'), runs, and stores its response; a replay within IDEMPOTENCY_TTL_HOURS gets
+ * that stored response back with an Idempotent-Replayed header. A replay while the first request
+ * is still running gets 409 with Retry-After; the same key with a different body gets 422.
+ * Failures (5xx or a thrown error) release the key so the client can retry for real. Keys are
+ * scoped to the calling API key. Requests without the header, and dry runs, skip all of this.
+ */
+async function withIdempotency(
+  req: Request,
+  res: Response,
+  caller: Caller,
+  route: string,
+  handler: () => Promise<void>
+) {
+  const key = req.get('idempotency-key');
+  if (key === undefined) return handler();
+  if (!IDEMPOTENCY_KEY_RE.test(key)) {
+    res.status(400).send('Bad Idempotency-Key: expected 1-255 printable ASCII characters');
+    return;
+  }
+  const body = req.body ?? {};
+  if (body.dryRun) return handler();
+
+  // Keys are per caller: two API keys can't replay each other's responses
+  const scope = caller.keyId ? `${caller.keyId}\n${route}` : route;
+  const ref = db.collection(IDEMPOTENCY_COLLECTION).doc(sha256Hex(`${scope}\n${key}`));
+  // The audit source is metadata: a retry from a renamed sheet is still the same request
+  const { source, ...request } = body;
+  const fingerprint = sha256Hex(JSON.stringify(request));
+  const existing = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const now = Date.now();
+    const record = snap.exists ? (snap.data() as IdempotencyRecord) : null;
+    const live = record && record.expiresAt.toMillis() > now &&
+      (record.state === 'done' || record.createdAt.toMillis() + IDEMPOTENCY_LEASE_MS > now);
+    if (live) return record;
+    tx.set(ref, {
+      state: 'pending',
+      route,
+      fingerprint,
+      createdAt: admin.firestore.Timestamp.fromMillis(now),
+      expiresAt: admin.firestore.Timestamp.fromMillis(now + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000),
+    });
+    return null;
+  });
+
+  if (existing) {
+    if (existing.fingerprint !== fingerprint) {
+      res.status(422).send('Idempotency-Key was already used for a different request');
+      return;
+    }
+    if (existing.state !== 'done') {
+      res.setHeader('Retry-After', '1');
+      res.status(409).send('A request with this Idempotency-Key is still in progress');
+      return;
+    }
+    res.setHeader('Idempotent-Replayed', 'true');
+    if (existing.contentType) res.setHeader('Content-Type', existing.contentType);
+    res.status(existing.status ?? 200).send(existing.body ?? '');
+    return;
+  }
+
+  const release = () => ref.delete().catch((err: Error) => logger.error(err));
+  const recorded = recordResponse(res);
+  try {
+    await handler();
+  } catch (err) {
+    await release();
+    throw err;
+  }
+
+  if (recorded.status === undefined || recorded.status >= 500) {
+    await release();
+    return;
+  }
+  try {
+    await ref.update({
+      state: 'done',
+      status: recorded.status,
+      contentType: String(res.getHeader('Content-Type') ?? ''),
+      body: recorded.body,
+    });
+  } catch (err) {
+    // e.g. a response too large for one document: the write happened, but a retry would repeat it
+    logger.error(err);
+    await release();
+  }
+}
+
+function toListedDoc(d: admin.firestore.DocumentSnapshot) {
+  return {
+    id: d.id,
+    path: d.ref.path,
+    createTime: timestampToRfc3339(d.createTime!),
+    updateTime: timestampToRfc3339(d.updateTime!),
+    data: encodeTypedValues(d.data()),
+  };
 }
 
 export const adminAddDoc = onRequest(
-  { region: REGION, secrets: [APP_SECRET] },
+  { region: REGION, secrets: [APP_SECRET, SIGNING_PEPPER] },
   async (req: Request, res: Response) => {
-    setCors(res);
+    setCors(req, res);
 
     try {
       // Preflight support (handy if you ever hit this from a browser)
@@ -52,90 +1822,68 @@ export const adminAddDoc = onRequest(
         return;
       }
 
-      // Shared-secret header gate (timing-safe compare)
-      const provided = req.get('x-app-secret') ?? '';
-      const expected = APP_SECRET.value() ?? '';
-
-      if (!provided || !expected) {
-        res.status(401).send('Unauthorized');
+      // Browsers enforce CORS themselves; this also stops scripted calls posing as another site
+      if (!originAllowed(req.get('origin'))) {
+        res.status(403).send('Origin not allowed');
         return;
       }
 
-      // Encode both secrets to equal-type byte arrays
-      const encoder = new (globalThis as any).TextEncoder();
-      const providedBytes = encoder.encode(provided);
-      const expectedBytes = encoder.encode(expected);
-
-      // Reject early if lengths differ
-      if (providedBytes.byteLength !== expectedBytes.byteLength) {
-        res.status(401).send('Unauthorized');
+      const ipWait = await rateLimit(`ip:${req.ip}`, RATE_LIMITS.ip);
+      if (ipWait) {
+        sendTooManyRequests(res, ipWait, 'this IP address');
         return;
       }
 
-      // Constant-time comparison
-      if (!timingSafeEqual(providedBytes, expectedBytes)) {
-        res.status(401).send('Unauthorized');
+      const rawBody = (req as any).rawBody;
+      const requestBytes = rawBody ? rawBody.length : utf8Length(JSON.stringify(req.body ?? {}));
+      if (requestBytes > MAX_REQUEST_BYTES) {
+        res.status(413).send(`Payload too large: ${requestBytes} bytes (max ${MAX_REQUEST_BYTES})`);
         return;
       }
 
-      // Body parsing & validation
-      const body = (req.body ?? {}) as IncomingBody;
-
-      const { collection, doc, docId, merge = true, dryRun = false } = body;
-
-      if (!collection || !COLLECTION_RE.test(collection)) {
-        res.status(400).send('Bad collection: must be [A-Za-z0-9_-], 1–128 chars');
+      // Signed request, or API key / shared-secret header gate (timing-safe compare)
+      const auth = await authenticate(req);
+      if (!auth.caller) {
+        res.status(401).send(auth.error);
         return;
       }
+      const caller = auth.caller;
 
-      if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
-        res.status(400).send('Bad payload: "doc" must be an object');
+      const keyWait = await rateLimit(`key:${caller.keyId ?? 'APP_SECRET'}`, RATE_LIMITS.key);
+      if (keyWait) {
+        sendTooManyRequests(res, keyWait, caller.keyId ? keyLabel(caller) : 'the shared APP_SECRET');
         return;
       }
 
-      if (docId && typeof docId !== 'string') {
-        res.status(400).send('Bad payload: "docId" must be a string when provided');
+      // Route by sub-path: POST {endpoint}/batch writes many docs in one request,
+      // POST {endpoint}/list reads a page of a collection, POST {endpoint}/delete removes docs,
+      // POST {endpoint}/history reads a doc's audit entries; anything else writes one doc.
+      // Writes and deletes honour an Idempotency-Key header
+      const op: Operation = req.path === '/delete' ? 'delete'
+        : req.path === '/list' || req.path === '/history' ? 'read'
+          : 'write';
+      const denied = operationDenied(caller, op);
+      if (denied) {
+        res.status(403).send(denied);
         return;
       }
 
-      // Prepare write
-      const colRef = db.collection(collection);
-      const docRef = docId ? colRef.doc(docId) : colRef.doc();
-
-      // Server timestamps
-      const nowServer = admin.firestore.FieldValue.serverTimestamp();
-
-      const payload = {
-        ...doc,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(), // will not overwrite if merge + field exists (depends on client)
-        updatedAt: nowServer,
-      };
-
-      if (dryRun) {
-        // No write, just echo what would happen
-        res.status(200).json({
-          ok: true,
-          dryRun: true,
-          wouldWriteTo: `${collection}/${docRef.id}`,
-          merge,
-          payload,
-        });
-        return;
+      switch (req.path) {
+        case '/batch':
+          await withIdempotency(req, res, caller, '/batch', () => handleBatch(req, res, caller));
+          return;
+        case '/delete':
+          await withIdempotency(req, res, caller, '/delete', () => handleDelete(req, res, caller));
+          return;
+        case '/list':
+          await handleList(req, res, caller);
+          return;
+        case '/history':
+          await handleHistory(req, res, caller);
+          return;
+        default:
+          await withIdempotency(req, res, caller, '/', () => handleWrite(req, res, caller));
       }
-
-      const writeResult = await docRef.set(payload as Record<string, unknown>, { merge });
-
-      // writeResult.writeTime exists on Admin SDK set()
-      // but we’ll also fetch the write time from the returned object when available
-      res.status(200).json({
-        ok: true,
-        id: docRef.id,
-        path: `${collection}/${docRef.id}`,
-        merge,
-        writeTime: (writeResult as unknown as { writeTime?: { toDate: () => Date } }).writeTime
-          ? (writeResult as any).writeTime.toDate().toISOString()
-          : undefined,
-      });
     } catch (err) {
       const e = err as Error;
       logger.error(e);
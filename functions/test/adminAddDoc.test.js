@@ -0,0 +1,263 @@
+// adminAddDoc against the Firestore emulator, over HTTP. Run with `npm test` (see README).
+
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { APP_SECRET, SIGNING_PEPPER } = require('./support/env');
+const { sealSigningKey } = require('../../scripts/api-keys');
+const { listen } = require('./support/server');
+const { admin, db, clearFirestore, closeFirestore } = require('./support/firestore');
+
+let server;
+
+before(async () => {
+  server = await listen();
+});
+
+after(async () => {
+  await server.close();
+  await closeFirestore();
+});
+
+beforeEach(clearFirestore);
+
+/** POST `body` as JSON to `route` ('' = single writes); resolves with { status, headers, text, json }. */
+async function post(route, body, headers = { 'x-app-secret': APP_SECRET }) {
+  const payload = JSON.stringify(body);
+  const res = await fetch(`${server.url}/${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: payload,
+  });
+  const text = await res.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (_) {}
+  return { status: res.status, headers: res.headers, text, json };
+}
+
+const sha256Hex = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+const signingKey = (secret) => crypto.createHmac('sha256', secret).update('sheetfire-signing-v1').digest('hex');
+
+/** Signature headers as Apps Script's authHeaders_ builds them; `key` overrides the signing key. */
+function signedHeaders(keyId, secret, route, payload, { timestamp, nonce, key } = {}) {
+  const ts = String(timestamp ?? Math.floor(Date.now() / 1000));
+  const n = nonce ?? crypto.randomBytes(16).toString('hex');
+  const signature = crypto.createHmac('sha256', key ?? signingKey(secret))
+    .update([ts, n, 'POST', `/${route}`, payload].join('\n'))
+    .digest('hex');
+  return {
+    'x-sheetfire-key-id': keyId,
+    'x-sheetfire-timestamp': ts,
+    'x-sheetfire-nonce': n,
+    'x-sheetfire-signature': `v1=${signature}`,
+  };
+}
+
+/** Store an API key like scripts/api-keys.js does; resolves with the full "sfk_…" key. */
+async function issueKey(keyId, fields = {}) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  await db().collection('_sheetfire_keys').doc(keyId).set({
+    name: keyId,
+    hash: sha256Hex(secret),
+    signingKey: sealSigningKey(keyId, secret, SIGNING_PEPPER),
+    collections: ['*'],
+    operations: ['write', 'delete', 'read'],
+    expiresAt: null,
+    revokedAt: null,
+    ...fields,
+  });
+  return `sfk_${keyId}.${secret}`;
+}
+
+describe('CORS and method', () => {
+  test('answers preflight requests with the allowed headers', async () => {
+    const res = await fetch(server.url, { method: 'OPTIONS' });
+    assert.equal(res.status, 204);
+    assert.match(res.headers.get('access-control-allow-headers'), /x-app-secret/);
+  });
+
+  test('refuses anything but POST', async () => {
+    const res = await fetch(server.url);
+    assert.equal(res.status, 405);
+  });
+});
+
+describe('authentication', () => {
+  const body = { collection: 'people', docId: 'ada', doc: { name: 'Ada' } };
+
+  test('rejects a request without credentials', async () => {
+    const res = await post('', body, {});
+    assert.equal(res.status, 401);
+  });
+
+  test('rejects a wrong shared secret', async () => {
+    const res = await post('', body, { 'x-app-secret': `${APP_SECRET}x` });
+    assert.equal(res.status, 401);
+    assert.equal((await db().doc('people/ada').get()).exists, false);
+  });
+
+  test('rejects unknown, revoked and expired API keys', async () => {
+    const unknown = await post('', body, { 'x-app-secret': `sfk_nosuchkey.${'a'.repeat(40)}` });
+    assert.equal(unknown.status, 401);
+
+    const revoked = await issueKey('revokedkey', { revokedAt: admin.firestore.Timestamp.now() });
+    const res = await post('', body, { 'x-app-secret': revoked });
+    assert.equal(res.status, 401);
+    assert.match(res.text, /revoked/);
+
+    const expired = await issueKey('expiredkey', { expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() - 1000) });
+    assert.match((await post('', body, { 'x-app-secret': expired })).text, /expired/);
+  });
+
+  test('keeps API keys to their collections and operations', async () => {
+    const key = await issueKey('peoplekey', { collections: ['people'], operations: ['write'] });
+    assert.equal((await post('', body, { 'x-app-secret': key })).status, 200);
+    assert.equal((await post('', { ...body, collection: 'orders' }, { 'x-app-secret': key })).status, 403);
+    assert.equal((await post('delete', { collection: 'people', items: [{ docId: 'ada' }] }, { 'x-app-secret': key })).status, 403);
+    assert.equal((await db().doc('people/ada').get()).get('updatedByKey'), 'peoplekey');
+  });
+
+  test('accepts a signed request once and refuses a replay or a stale timestamp', async () => {
+    const payload = JSON.stringify(body);
+    const headers = signedHeaders('APP_SECRET', APP_SECRET, '', payload);
+    const send = (h) => fetch(server.url + '/', { method: 'POST', headers: { 'Content-Type': 'application/json', ...h }, body: payload });
+
+    assert.equal((await send(headers)).status, 200);
+    const replay = await send(headers);
+    assert.equal(replay.status, 401);
+    assert.match(await replay.text(), /nonce already used/);
+
+    const stale = await send(signedHeaders('APP_SECRET', APP_SECRET, '', payload, { timestamp: Math.floor(Date.now() / 1000) - 3600 }));
+    assert.equal(stale.status, 401);
+
+    const forged = await send(signedHeaders('APP_SECRET', 'not-the-secret', '', payload));
+    assert.equal(forged.status, 401);
+    assert.match(await forged.text(), /bad signature/);
+  });
+
+  test('accepts a request signed with an API key, but not one keyed with its stored hash', async () => {
+    const key = await issueKey('signerkey');
+    const secret = key.split('.').slice(1).join('.');
+    const payload = JSON.stringify(body);
+    const send = (h) => fetch(server.url + '/', { method: 'POST', headers: { 'Content-Type': 'application/json', ...h }, body: payload });
+
+    assert.equal((await send(signedHeaders('signerkey', secret, '', payload))).status, 200);
+    assert.equal((await db().doc('people/ada').get()).get('updatedByKey'), 'signerkey');
+    const fromRecord = await send(signedHeaders('signerkey', secret, '', payload, { key: sha256Hex(secret) }));
+    assert.equal(fromRecord.status, 401);
+
+    await issueKey('unsealedkey', { signingKey: null });
+    const unsealed = await send(signedHeaders('unsealedkey', secret, '', payload));
+    assert.equal(unsealed.status, 401);
+    assert.match(await unsealed.text(), /cannot sign/);
+  });
+
+  test("keeps the shared secret out of SheetFire's own collections", async () => {
+    await issueKey('somekey');
+    const res = await post('list', { collection: '_sheetfire_keys' });
+    assert.equal(res.status, 403);
+    assert.match(res.text, /reserved/);
+    assert.equal((await post('', { collection: '_sheetfire_audit', docId: 'x', doc: { a: 1 } })).status, 403);
+  });
+});
+
+describe('collection and doc validation', () => {
+  for (const [collection, why] of [
+    ['', 'nothing in it'],
+    ['bad name', 'a space'],
+    ['people/ada', 'an even number of segments'],
+    ['people/ada/bad name', 'a bad subcollection ID'],
+  ]) {
+    test(`rejects a collection path with ${why}`, async () => {
+      const res = await post('', { collection, docId: 'x', doc: { a: 1 } });
+      assert.equal(res.status, 400);
+      assert.match(res.text, /Bad collection/);
+    });
+  }
+
+  test('rejects a doc ID with a slash', async () => {
+    assert.equal((await post('', { collection: 'people', docId: 'a/b', doc: { a: 1 } })).status, 400);
+  });
+
+  test('rejects a doc that is not an object', async () => {
+    assert.equal((await post('', { collection: 'people', docId: 'ada', doc: [1, 2] })).status, 400);
+  });
+});
+
+describe('writes', () => {
+  test('dryRun reports the target and the caller but writes nothing', async () => {
+    const res = await post('', { collection: 'people', docId: 'ada', doc: { name: 'Ada' }, dryRun: true });
+    assert.equal(res.status, 200);
+    assert.equal(res.json.dryRun, true);
+    assert.equal(res.json.wouldWriteTo, 'people/ada');
+    assert.equal(res.json.identity, 'APP_SECRET');
+    assert.equal((await db().doc('people/ada').get()).exists, false);
+  });
+
+  test('writes a doc and returns its path and write time', async () => {
+    const res = await post('', { collection: 'people', docId: 'ada', doc: { name: 'Ada', born: 1815 } });
+    assert.equal(res.status, 200);
+    assert.equal(res.json.ok, true);
+    assert.equal(res.json.path, 'people/ada');
+    assert.ok(res.json.writeTime);
+    const snap = await db().doc('people/ada').get();
+    assert.equal(snap.get('name'), 'Ada');
+    assert.equal(snap.get('born'), 1815);
+  });
+
+  test('merge (the default) keeps fields the payload leaves out', async () => {
+    await post('', { collection: 'people', docId: 'ada', doc: { name: 'Ada', born: 1815 } });
+    await post('', { collection: 'people', docId: 'ada', doc: { name: 'Ada Lovelace' } });
+    const snap = await db().doc('people/ada').get();
+    assert.equal(snap.get('name'), 'Ada Lovelace');
+    assert.equal(snap.get('born'), 1815);
+  });
+
+  test('merge: false overwrites the whole doc', async () => {
+    await post('', { collection: 'people', docId: 'ada', doc: { name: 'Ada', born: 1815 } });
+    await post('', { collection: 'people', docId: 'ada', doc: { name: 'Ada Lovelace' }, merge: false });
+    const snap = await db().doc('people/ada').get();
+    assert.equal(snap.get('name'), 'Ada Lovelace');
+    assert.equal(snap.get('born'), undefined);
+  });
+
+  test('merge updates only the nested leaves it sends', async () => {
+    await post('', { collection: 'people', docId: 'ada', doc: { address: { city: 'London', street: 'St James' } } });
+    await post('', { collection: 'people', docId: 'ada', doc: { address: { city: 'Marylebone' } } });
+    assert.deepEqual((await db().doc('people/ada').get()).get('address'), { city: 'Marylebone', street: 'St James' });
+  });
+
+  test('an Idempotency-Key replay returns the stored response without writing again', async () => {
+    const headers = { 'x-app-secret': APP_SECRET, 'Idempotency-Key': 'row-7' };
+    const first = await post('', { collection: 'people', doc: { name: 'Ada' } }, headers);
+    const again = await post('', { collection: 'people', doc: { name: 'Ada' } }, headers);
+    assert.equal(again.status, 200);
+    assert.equal(again.headers.get('idempotent-replayed'), 'true');
+    assert.equal(again.json.path, first.json.path);
+    assert.equal((await db().collection('people').get()).size, 1);
+  });
+});
+
+describe('error mapping', () => {
+  test('maps a Firestore PERMISSION_DENIED to 403', async (t) => {
+    t.mock.method(admin.firestore.DocumentReference.prototype, 'set', async () => {
+      throw new Error('7 PERMISSION_DENIED: Missing or insufficient permissions.');
+    });
+    const res = await post('', { collection: 'people', docId: 'ada', doc: { name: 'Ada' } });
+    assert.equal(res.status, 403);
+    assert.match(res.text, /Permission denied/);
+  });
+
+  test('maps other failures to 500 with their message', async (t) => {
+    t.mock.method(admin.firestore.DocumentReference.prototype, 'set', async () => {
+      throw new Error('14 UNAVAILABLE: try again');
+    });
+    const res = await post('', { collection: 'people', docId: 'ada', doc: { name: 'Ada' } });
+    assert.equal(res.status, 500);
+    assert.match(res.text, /UNAVAILABLE/);
+  });
+});
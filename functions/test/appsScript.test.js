@@ -0,0 +1,114 @@
+// The Apps Script side of the contract: writeDoc_ and runDiagnostics from apps-script/Code.js,
+// talking to adminAddDoc through a fake (but real-HTTP) UrlFetchApp. The server runs in a child
+// process, because the fake UrlFetchApp blocks this one while a request is in flight.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+
+const { APP_SECRET } = require('./support/env');
+const { loadAppsScript } = require('./support/apps-script');
+const { db, clearFirestore, closeFirestore } = require('./support/firestore');
+
+let server;
+let url;
+
+before(async () => {
+  server = spawn(process.execPath, [path.join(__dirname, 'support', 'server.js')], {
+    env: process.env,
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  url = await new Promise((resolve, reject) => {
+    server.once('exit', (code) => reject(new Error(`Test server exited with ${code}`)));
+    readline.createInterface({ input: server.stdout }).once('line', resolve);
+  });
+});
+
+after(async () => {
+  server.kill();
+  await closeFirestore();
+});
+
+beforeEach(clearFirestore);
+
+/** Code.js configured for the test server; extra document properties override the defaults. */
+function appsScript(documentProperties = {}) {
+  return loadAppsScript({ documentProperties: { CF_ENDPOINT: url, COLLECTION: 'contract', ...documentProperties } });
+}
+
+test('writeDoc_ writes the doc and returns the parsed response', async () => {
+  const { script, requests } = appsScript();
+  const res = script.writeDoc_({ name: 'Ada', born: 1815 }, 'row-2', APP_SECRET);
+
+  assert.equal(res.ok, true);
+  assert.equal(res.path, 'contract/row-2');
+  assert.ok(res.writeTime);
+  assert.equal(requests[0].headers['x-app-secret'], APP_SECRET);
+  const snap = await db().doc('contract/row-2').get();
+  assert.equal(snap.get('name'), 'Ada');
+  assert.equal(snap.get('born'), 1815);
+});
+
+test('writeDoc_ uses the saved APP_SECRET when none is passed', async () => {
+  const script = loadAppsScript({
+    documentProperties: { CF_ENDPOINT: url, COLLECTION: 'contract' },
+    userProperties: { APP_SECRET: Buffer.from(APP_SECRET).toString('base64') },
+  }).script;
+  assert.equal(script.writeDoc_({ name: 'Ada' }, 'row-3').path, 'contract/row-3');
+});
+
+test('writeDoc_ throws errors carrying the HTTP status', () => {
+  const { script } = appsScript();
+  assert.throws(() => script.writeDoc_({ name: 'Ada' }, 'row-2', 'wrong-secret'), (err) => err.status === 401);
+  assert.throws(() => script.writeDoc_({ name: 'Ada' }, 'row-2', APP_SECRET, 'bad collection'),
+    (err) => err.status === 400 && /Bad collection/.test(err.message));
+  assert.throws(() => script.writeDoc_({ name: 'Ada' }, 'a/b', APP_SECRET), (err) => err.status === 400);
+});
+
+test('writeDoc_ retries with the same Idempotency-Key get the first response back', async () => {
+  const { script, requests } = appsScript();
+  const first = script.writeDoc_({ name: 'Ada' }, '', APP_SECRET, null, 'sheet-1-row-2');
+  const again = script.writeDoc_({ name: 'Ada' }, '', APP_SECRET, null, 'sheet-1-row-2');
+
+  assert.equal(requests[0].headers['Idempotency-Key'], 'sheet-1-row-2');
+  assert.equal(again.path, first.path);
+  assert.equal(again.writeTime, first.writeTime);
+  assert.equal((await db().collection('contract').get()).size, 1);
+});
+
+test('writeDoc_ signs requests when SIGN_REQUESTS is on', async () => {
+  const { script, requests } = appsScript({ SIGN_REQUESTS: 'true' });
+  assert.equal(script.writeDoc_({ name: 'Ada' }, 'row-2', APP_SECRET).path, 'contract/row-2');
+
+  const headers = requests[0].headers;
+  assert.equal(headers['x-app-secret'], undefined);
+  assert.equal(headers['x-sheetfire-key-id'], 'APP_SECRET');
+  assert.match(headers['x-sheetfire-signature'], /^v1=[0-9a-f]{64}$/);
+  assert.equal((await db().doc('contract/row-2').get()).exists, true);
+});
+
+test('runDiagnostics reports a healthy dry run and the identity the backend saw', async () => {
+  const { script } = appsScript();
+  const result = script.runDiagnostics({ APP_SECRET });
+
+  assert.equal(result.ok, true, result.message);
+  assert.match(result.message, /^Healthy \(dryRun ok: contract\/\w+\) as APP_SECRET$/);
+  assert.equal(result.identity, 'APP_SECRET');
+  assert.equal((await db().collection('contract').get()).size, 0);
+});
+
+test('runDiagnostics reports a rejected secret', () => {
+  const { script } = appsScript();
+  const result = script.runDiagnostics({ APP_SECRET: 'wrong-secret' });
+
+  assert.equal(result.ok, false);
+  assert.match(result.message, /^HTTP 401: Unauthorized/);
+});
+
+test('runDiagnostics reports a missing endpoint or collection without calling out', () => {
+  const { script, requests } = appsScript({ COLLECTION: ' ' });
+  assert.deepEqual({ ...script.runDiagnostics({ APP_SECRET }) }, { ok: false, message: 'COLLECTION is empty' });
+  assert.equal(requests.length, 0);
+});
@@ -0,0 +1,110 @@
+// Runs apps-script/Code.js in a VM context with in-memory fakes of the Apps Script services its
+// endpoint calls use. UrlFetchApp is a real (synchronous) HTTP client, see fetch-sync.js, so the
+// backend receives exactly what Apps Script would send; every request is also recorded.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { execFileSync } = require('child_process');
+
+const CODE_JS = path.join(__dirname, '..', '..', '..', 'apps-script', 'Code.js');
+const FETCH_SYNC = path.join(__dirname, 'fetch-sync.js');
+
+const DIGESTS = { MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256', SHA_512: 'sha512' };
+
+// Apps Script hands out byte arrays as signed Java bytes
+const toBytes = (buf) => Array.from(buf, (b) => (b > 127 ? b - 256 : b));
+const toBuffer = (value) => (Array.isArray(value)
+  ? Buffer.from(value.map((b) => b & 0xff))
+  : Buffer.from(String(value), 'utf8'));
+
+function fakeProperties(initial) {
+  const store = { ...initial };
+  return {
+    getProperty: (key) => (Object.prototype.hasOwnProperty.call(store, key) ? store[key] : null),
+    getProperties: () => ({ ...store }),
+    setProperty(key, value) {
+      store[key] = String(value);
+      return this;
+    },
+    setProperties(props, deleteAllOthers) {
+      if (deleteAllOthers) Object.keys(store).forEach((key) => delete store[key]);
+      Object.keys(props).forEach((key) => { store[key] = String(props[key]); });
+      return this;
+    },
+    deleteProperty(key) {
+      delete store[key];
+      return this;
+    },
+  };
+}
+
+function fakeResponse({ code, headers, body }) {
+  return {
+    getResponseCode: () => code,
+    getHeaders: () => headers,
+    getAllHeaders: () => headers,
+    getContentText: () => body,
+  };
+}
+
+/**
+ * Load Code.js. Options: documentProperties / userProperties (initial values), identityToken
+ * (what ScriptApp.getIdentityToken() returns). Returns { script, requests }: the script's global
+ * functions, and the requests UrlFetchApp sent ({ url, method, headers, payload }).
+ */
+function loadAppsScript({ documentProperties = {}, userProperties = {}, identityToken = '' } = {}) {
+  const requests = [];
+  const docProps = fakeProperties(documentProperties);
+  const userProps = fakeProperties(userProperties);
+  const scriptProps = fakeProperties({});
+
+  const context = {
+    console: { log() {}, info() {}, warn() {}, error() {} },
+    Logger: { log() {} },
+    PropertiesService: {
+      getDocumentProperties: () => docProps,
+      getUserProperties: () => userProps,
+      getScriptProperties: () => scriptProps,
+    },
+    ScriptApp: {
+      getIdentityToken: () => identityToken,
+      getOAuthToken: () => '',
+    },
+    Utilities: {
+      DigestAlgorithm: Object.fromEntries(Object.keys(DIGESTS).map((name) => [name, name])),
+      Charset: { UTF_8: 'UTF_8', US_ASCII: 'US_ASCII' },
+      computeDigest: (algorithm, value) => toBytes(crypto.createHash(DIGESTS[algorithm]).update(toBuffer(value)).digest()),
+      computeHmacSha256Signature: (value, key) => toBytes(crypto.createHmac('sha256', toBuffer(key)).update(toBuffer(value)).digest()),
+      base64Encode: (value) => toBuffer(value).toString('base64'),
+      base64EncodeWebSafe: (value) => toBuffer(value).toString('base64').replace(/\+/g, '-').replace(/\//g, '_'),
+      base64Decode: (text) => toBytes(Buffer.from(String(text), 'base64')),
+      newBlob: (data) => ({ getDataAsString: () => toBuffer(data).toString('utf8') }),
+      getUuid: () => crypto.randomUUID(),
+      sleep: (ms) => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms),
+    },
+    UrlFetchApp: {
+      fetch(url, params = {}) {
+        const headers = { ...(params.headers || {}) };
+        if (params.contentType) headers['Content-Type'] = params.contentType;
+        const request = { url, method: String(params.method || 'get').toUpperCase(), headers, payload: params.payload };
+        requests.push(request);
+        const out = JSON.parse(execFileSync(process.execPath, [FETCH_SYNC], {
+          input: JSON.stringify(request),
+          encoding: 'utf8',
+          timeout: 60 * 1000,
+        }));
+        if (out.code >= 400 && !params.muteHttpExceptions) {
+          throw new Error(`Request failed for ${url} returned code ${out.code}. Server response: ${out.body}`);
+        }
+        return fakeResponse(out);
+      },
+    },
+  };
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(CODE_JS, 'utf8'), context, { filename: CODE_JS });
+  return { script: context, requests };
+}
+
+module.exports = { loadAppsScript };
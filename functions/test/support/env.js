@@ -0,0 +1,20 @@
+// Environment for running adminAddDoc against the Firestore emulator. Required before
+// lib/index.js (and firebase-admin) are loaded, so both pick it up. `npm test` starts the
+// emulator through `firebase emulators:exec`, which sets FIRESTORE_EMULATOR_HOST itself.
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'demo-sheetfire';
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080';
+
+// defineSecret('APP_SECRET').value() reads the environment outside Cloud Functions
+process.env.APP_SECRET = process.env.APP_SECRET || 'test-app-secret';
+process.env.SIGNING_PEPPER = process.env.SIGNING_PEPPER || 'test-signing-pepper';
+// Tests fire many requests from one address; rate limiting has its own settings to test
+process.env.RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'off';
+
+module.exports = {
+  PROJECT_ID,
+  APP_SECRET: process.env.APP_SECRET,
+  SIGNING_PEPPER: process.env.SIGNING_PEPPER,
+  EMULATOR_HOST: process.env.FIRESTORE_EMULATOR_HOST,
+};
@@ -0,0 +1,14 @@
+// One HTTP request for the fake UrlFetchApp (see apps-script.js). Apps Script's fetch is
+// synchronous, so the test process runs each request in this child: the request arrives as JSON
+// on stdin ({ url, method, headers, payload }) and the response leaves as JSON on stdout
+// ({ code, headers, body }).
+
+let input = '';
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', (chunk) => { input += chunk; });
+process.stdin.on('end', async () => {
+  const { url, method, headers, payload } = JSON.parse(input);
+  const res = await fetch(url, { method, headers, body: payload });
+  const out = { code: res.status, headers: Object.fromEntries(res.headers), body: await res.text() };
+  process.stdout.write(JSON.stringify(out));
+});
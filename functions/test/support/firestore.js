@@ -0,0 +1,24 @@
+// Firestore access for assertions, plus a reset between tests.
+
+const { PROJECT_ID, EMULATOR_HOST } = require('./env');
+const admin = require('firebase-admin');
+
+/** The emulator's Firestore (lib/index.js initializes the default app when it is loaded first). */
+function db() {
+  if (!admin.apps.length) admin.initializeApp();
+  return admin.firestore();
+}
+
+/** Delete every document in the emulator's database. */
+async function clearFirestore() {
+  const url = `http://${EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`;
+  const res = await fetch(url, { method: 'DELETE' });
+  if (!res.ok) throw new Error(`Clearing the Firestore emulator failed: HTTP ${res.status}`);
+}
+
+/** Let the test process exit: firebase-admin keeps its connections open otherwise. */
+async function closeFirestore() {
+  await Promise.all(admin.apps.map((app) => app.delete()));
+}
+
+module.exports = { admin, db, clearFirestore, closeFirestore };
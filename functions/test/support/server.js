@@ -0,0 +1,33 @@
+// Serves the built adminAddDoc (lib/index.js) over plain HTTP the way Cloud Functions calls it:
+// JSON bodies parsed into req.body, the raw bytes kept in req.rawBody. Run directly
+// (node test/support/server.js) it prints its URL on the first line of stdout.
+
+require('./env');
+const express = require('express');
+const { adminAddDoc } = require('../../lib/index.js');
+
+function createApp() {
+  const app = express();
+  // Above MAX_REQUEST_BYTES, so the function's own 413 is what gets tested
+  app.use(express.json({ limit: '20mb', verify: (req, _res, buf) => { req.rawBody = buf; } }));
+  app.all('*', (req, res) => adminAddDoc(req, res));
+  return app;
+}
+
+/** Listen on 127.0.0.1 (port 0 = any free port); resolves with the base URL and a close(). */
+function listen(port = 0) {
+  return new Promise((resolve) => {
+    const server = createApp().listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  listen(Number(process.env.PORT) || 0).then(({ url }) => console.log(url));
+}
+
+module.exports = { createApp, listen };
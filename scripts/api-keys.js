@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+// Issue, list and revoke per-user API keys for adminAddDoc (stored hashed in Firestore).
+// Uses firebase-admin from functions/node_modules and Application Default Credentials
+// (gcloud auth application-default login). `issue` also needs the backend's SIGNING_PEPPER in the
+// environment to store the key's signing key; without it the key works but can't sign requests.
+
+const crypto = require('crypto');
+const path = require('path');
+const { createRequire } = require('module');
+
+const KEYS_COLLECTION = '_sheetfire_keys';
+const OPERATIONS = ['write', 'delete', 'read'];
+const SIGNING_KEY_LABEL = 'sheetfire-signing-v1';
+
+const USAGE = `Usage:
+  node scripts/api-keys.js issue <name> [--collections a,b/*/c] [--ops write,delete,read] [--expires YYYY-MM-DD] [--project <id>]
+  node scripts/api-keys.js list [--project <id>]
+  node scripts/api-keys.js revoke <keyId> [--project <id>]
+
+--collections defaults to "*" (every collection except SheetFire's own _sheetfire_* ones);
+"*" inside a path matches one segment. --ops defaults to all of ${OPERATIONS.join(', ')}.`;
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const value = argv[i + 1];
+      if (value === undefined || value.startsWith('--')) fail(`Missing value for ${argv[i]}\n\n${USAGE}`);
+      flags[argv[i].slice(2)] = value;
+      i++;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, flags };
+}
+
+function list(value) {
+  return String(value).split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function firestore(project) {
+  let admin;
+  try {
+    admin = createRequire(path.join(__dirname, '..', 'functions', 'package.json'))('firebase-admin');
+  } catch (_) {
+    fail('firebase-admin not found: run "npm install" in functions/ first.');
+  }
+  admin.initializeApp(project ? { projectId: project } : undefined);
+  return { admin, db: admin.firestore() };
+}
+
+/**
+ * The signing key for `secret` (see authHeaders_ in Code.js), sealed for the backend: AES-256-GCM
+ * under the SHA-256 of `pepper` with the key ID as associated data, "v1.<iv>.<tag>.<ciphertext>".
+ */
+function sealSigningKey(keyId, secret, pepper) {
+  const signingKey = crypto.createHmac('sha256', secret).update(SIGNING_KEY_LABEL, 'utf8').digest('hex');
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', crypto.createHash('sha256').update(pepper).digest(), iv);
+  cipher.setAAD(Buffer.from(keyId, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(signingKey, 'utf8'), cipher.final()]);
+  return ['v1', iv, cipher.getAuthTag(), ciphertext].map(p => (Buffer.isBuffer(p) ? p.toString('base64url') : p)).join('.');
+}
+
+async function issue(name, flags) {
+  if (!name) fail(USAGE);
+  const collections = flags.collections ? list(flags.collections) : ['*'];
+  const operations = flags.ops ? list(flags.ops) : OPERATIONS.slice();
+  const unknown = operations.filter(op => !OPERATIONS.includes(op));
+  if (unknown.length) fail(`Unknown operation(s): ${unknown.join(', ')} (use ${OPERATIONS.join(', ')})`);
+
+  let expiresAt = null;
+  if (flags.expires) {
+    expiresAt = new Date(flags.expires);
+    if (isNaN(expiresAt.getTime())) fail(`Bad --expires date: ${flags.expires}`);
+  }
+
+  const { admin, db } = firestore(flags.project);
+  const keyId = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const pepper = process.env.SIGNING_PEPPER || '';
+  await db.collection(KEYS_COLLECTION).doc(keyId).create({
+    name,
+    hash: crypto.createHash('sha256').update(secret).digest('hex'),
+    ...(pepper ? { signingKey: sealSigningKey(keyId, secret, pepper) } : {}),
+    collections,
+    operations,
+    expiresAt: expiresAt ? admin.firestore.Timestamp.fromDate(expiresAt) : null,
+    revokedAt: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  console.log(`Issued key ${keyId} for "${name}" (${operations.join('/')} on ${collections.join(', ')}` +
+    `${expiresAt ? ', expires ' + expiresAt.toISOString() : ''}).`);
+  if (!pepper) console.warn('SIGNING_PEPPER is not set, so this key cannot sign requests (SIGN_REQUESTS).');
+  console.log('Give this key to its user; it is shown only once. They save it as APP_SECRET in the sidebar:');
+  console.log(`\n  sfk_${keyId}.${secret}\n`);
+}
+
+async function listKeys(flags) {
+  const { db } = firestore(flags.project);
+  const snap = await db.collection(KEYS_COLLECTION).orderBy('createdAt').get();
+  if (snap.empty) {
+    console.log('No API keys.');
+    return;
+  }
+  const now = Date.now();
+  snap.docs.forEach(d => {
+    const k = d.data();
+    const status = k.revokedAt ? 'revoked'
+      : k.expiresAt && k.expiresAt.toMillis() <= now ? 'expired'
+        : 'active';
+    const expires = k.expiresAt ? k.expiresAt.toDate().toISOString().slice(0, 10) : 'never';
+    console.log(`${d.id}  ${status.padEnd(7)}  ${k.name}  ops=${(k.operations || []).join(',')}  ` +
+      `collections=${(k.collections || []).join(',')}  expires=${expires}`);
+  });
+}
+
+async function revoke(keyId, flags) {
+  if (!keyId) fail(USAGE);
+  const { admin, db } = firestore(flags.project);
+  const ref = db.collection(KEYS_COLLECTION).doc(keyId);
+  const snap = await ref.get();
+  if (!snap.exists) fail(`No API key ${keyId}`);
+  await ref.update({ revokedAt: admin.firestore.FieldValue.serverTimestamp() });
+  console.log(`Revoked key ${keyId} ("${snap.get('name')}").`);
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positional, flags } = parseArgs(rest);
+  switch (command) {
+    case 'issue': return issue(positional[0], flags);
+    case 'list': return listKeys(flags);
+    case 'revoke': return revoke(positional[0], flags);
+    default: fail(USAGE);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => fail(err && err.message ? err.message : String(err)));
+}
+
+module.exports = { sealSigningKey };
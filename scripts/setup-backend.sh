@@ -24,6 +24,9 @@ need_cmd gcloud   || { echo "Install gcloud SDK: https://cloud.google.com/sdk/do
 
 # Set secret in Firebase Functions
 firebase functions:secrets:set APP_SECRET --project "$PROJECT_ID"
+# Random pepper for API keys' signing keys, kept if already set (changing it stops issued keys from signing)
+firebase functions:secrets:access SIGNING_PEPPER --project "$PROJECT_ID" >/dev/null 2>&1 ||
+  openssl rand -base64 32 | firebase functions:secrets:set SIGNING_PEPPER --data-file=- --project "$PROJECT_ID"
 
 # Enable required APIs
 gcloud services enable firestore.googleapis.com cloudfunctions.googleapis.com --project "$PROJECT_ID"